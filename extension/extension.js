@@ -4,9 +4,12 @@ import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 import { Connections } from './utils/connections.js';
 import { ShellTweaks } from './shell/tweaks.js';
 import { Taskbar } from './ui/taskbar.js';
+import { MonitorTaskbars } from './ui/monitorTaskbars.js';
+import { Dock } from './ui/dock.js';
 import { NotificationCounter } from './ui/notificationCounter.js';
 import { IconProvider } from './utils/iconProvider.js';
 import { LauncherAPI } from './utils/launcherAPI.js';
+import { DBusService } from './services/dbusService.js';
 
 //#endregion imports
 
@@ -19,6 +22,9 @@ export default class RocketBarExtension extends Extension {
         // to make apps use the interface correctly
         LauncherAPI.instance();
 
+        // export the interface to control the taskbar from scripts
+        DBusService.instance();
+
         this._settings = this.getSettings();
 
         this._iconProvider = new IconProvider(this.path);
@@ -29,6 +35,7 @@ export default class RocketBarExtension extends Extension {
         this._connections = new Connections();
         this._connections.addScope(this._settings, [
             'changed::taskbar-enabled',
+            'changed::dock-enabled',
             'changed::notification-counter-enabled'
         ], () => this._handleSettings());    
     }
@@ -36,13 +43,18 @@ export default class RocketBarExtension extends Extension {
     disable() {
         // destroy all
         this._connections.destroy();
+        this._monitorTaskbars?.destroy();
         this._taskbar?.destroy();
+        this._dock?.destroy();
         this._notificationCounter?.destroy();
         this._shellTweaks?.destroy();
+        DBusService.destroy();
         LauncherAPI.destroy();
     
         // and nullify all
         this._taskbar = null;
+        this._monitorTaskbars = null;
+        this._dock = null;
         this._notificationCounter = null;
         this._shellTweaks = null;
         this._settings = null;
@@ -53,13 +65,27 @@ export default class RocketBarExtension extends Extension {
     _handleSettings() {
 
         const taskbarEnabled = this._settings.get_boolean('taskbar-enabled');
+        const dockEnabled = taskbarEnabled && this._settings.get_boolean('dock-enabled');
         const notificationCounterEnabled = this._settings.get_boolean('notification-counter-enabled');
-    
-        if (taskbarEnabled && !this._taskbar) {
-            this._taskbar = new Taskbar(this._settings, this._iconProvider);
-        } else if (!taskbarEnabled && this._taskbar) {
+
+        // the taskbar is recreated to move it between the Main panel and the dock
+        if (this._taskbar && (!taskbarEnabled || dockEnabled !== !!this._dock)) {
+            this._monitorTaskbars.destroy();
+            this._monitorTaskbars = null;
             this._taskbar.destroy();
             this._taskbar = null;
+            this._dock?.destroy();
+            this._dock = null;
+        }
+    
+        if (taskbarEnabled && !this._taskbar) {
+
+            if (dockEnabled) {
+                this._dock = new Dock(this._settings);
+            }
+
+            this._taskbar = new Taskbar(this._settings, this._iconProvider, this._dock);
+            this._monitorTaskbars = new MonitorTaskbars(this._settings, this._iconProvider);
         }
     
         if (notificationCounterEnabled && !this._notificationCounter) {
@@ -0,0 +1,312 @@
+/* exported DBusService */
+
+//#region imports
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+
+// custom modules import
+import { NotificationHandler } from './notificationService.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const DBUS_OBJECT_PATH = '/org/gnome/Shell/Extensions/Rocketbar';
+
+const DBUS_INTERFACE = `
+<node>
+    <interface name="org.gnome.Shell.Extensions.Rocketbar">
+        <method name="ListButtons">
+            <arg type="aa{sv}" name="buttons" direction="out"/>
+        </method>
+        <method name="ActivateApp">
+            <arg type="s" name="appId" direction="in"/>
+            <arg type="b" name="success" direction="out"/>
+        </method>
+        <method name="CycleWindows">
+            <arg type="s" name="appId" direction="in"/>
+            <arg type="b" name="reverse" direction="in"/>
+            <arg type="b" name="success" direction="out"/>
+        </method>
+        <method name="SetBadge">
+            <arg type="s" name="appId" direction="in"/>
+            <arg type="i" name="count" direction="in"/>
+        </method>
+        <method name="GetNotificationCounts">
+            <arg type="i" name="total" direction="out"/>
+            <arg type="a{si}" name="apps" direction="out"/>
+        </method>
+        <signal name="ButtonsChanged"/>
+        <signal name="NotificationCountsChanged">
+            <arg type="i" name="total"/>
+        </signal>
+    </interface>
+</node>`;
+
+/**
+ * Exports the org.gnome.Shell.Extensions.Rocketbar interface on the session bus
+ * to control the taskbar from scripts, e.g.:
+ * gdbus call --session --dest org.gnome.Shell --object-path /org/gnome/Shell/Extensions/Rocketbar \
+ *     --method org.gnome.Shell.Extensions.Rocketbar.ActivateApp org.gnome.Terminal.desktop
+ */
+export class DBusService {
+
+    static _instance = null;
+
+    static instance() {
+
+        if (!DBusService._instance) {
+            DBusService._instance = new DBusService();
+        }
+
+        return DBusService._instance;
+    }
+
+    static destroy() {
+        DBusService._instance?.destroy();
+        DBusService._instance = null;
+    }
+
+    constructor() {
+
+        this._taskbars = []; // [Taskbar...]
+        this._buttonsSignature = null;
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE, this);
+        this._dbusImpl.export(Gio.DBus.session, DBUS_OBJECT_PATH);
+    }
+
+    destroy() {
+
+        this._buttonsChangedTimeout?.destroy();
+        this._buttonsChangedTimeout = null;
+
+        this._notificationHandler?.destroy();
+        this._notificationHandler = null;
+
+        this._taskbars = [];
+
+        this._dbusImpl.unexport();
+    }
+
+    //#region taskbar handlers
+
+    addTaskbar(taskbar, settings) {
+
+        if (!taskbar || this._taskbars.includes(taskbar)) {
+            return;
+        }
+
+        this._taskbars.push(taskbar);
+
+        // follow notification counts while there is a taskbar to show them
+        if (!this._notificationHandler) {
+            this._notificationHandler = new NotificationHandler(
+                () => this._emitNotificationCountsChanged(),
+                settings, null
+            );
+        }
+
+        this.queueButtonsChanged();
+    }
+
+    removeTaskbar(taskbar) {
+
+        const taskbarIndex = this._taskbars.indexOf(taskbar);
+
+        if (taskbarIndex < 0) {
+            return;
+        }
+
+        this._taskbars.splice(taskbarIndex, 1);
+
+        if (!this._taskbars.length) {
+            this._notificationHandler?.destroy();
+            this._notificationHandler = null;
+            this._notificationCounts = null;
+        }
+
+        this.queueButtonsChanged();
+    }
+
+    queueButtonsChanged() {
+
+        this._buttonsChangedTimeout?.destroy();
+
+        // taskbars are rerendered frequently so emit the signal once things settle down
+        this._buttonsChangedTimeout = Timeout.idle(200).run(() => {
+
+            this._buttonsChangedTimeout = null;
+
+            const buttonsSignature = this._getAppButtons().map(
+                ({ appButton, monitorIndex }) => `${monitorIndex}:${appButton.buttonId}`
+            ).join(',');
+
+            if (buttonsSignature === this._buttonsSignature) {
+                return;
+            }
+
+            this._buttonsSignature = buttonsSignature;
+
+            this._dbusImpl.emit_signal('ButtonsChanged', null);
+        });
+    }
+
+    //#endregion taskbar handlers
+
+    //#region dbus methods
+
+    ListButtons() {
+        return this._getAppButtons().map(({ appButton, monitorIndex, position }) => ({
+            'id': new GLib.Variant('s', appButton.buttonId),
+            'app-id': new GLib.Variant('s', appButton.appId),
+            'name': new GLib.Variant('s', appButton.app.get_name() || ''),
+            'title': new GLib.Variant('s', appButton.window?.title || ''),
+            'monitor': new GLib.Variant('i', monitorIndex),
+            'position': new GLib.Variant('i', position),
+            'favorite': new GLib.Variant('b', !!appButton.isFavorite),
+            'running': new GLib.Variant('b', appButton.app.state === Shell.AppState.RUNNING),
+            'active': new GLib.Variant('b', appButton.isActive),
+            'windows': new GLib.Variant('i', appButton.windows),
+            'notifications': new GLib.Variant('i', appButton.notifications)
+        }));
+    }
+
+    ActivateApp(appId) {
+
+        const appButtons = this._findAppButtons(appId);
+
+        if (appButtons.length) {
+            appButtons[0].activate();
+            return true;
+        }
+
+        // the app is not in the taskbar so just launch it
+        const app = this._lookupApp(appId);
+
+        if (!app) {
+            return false;
+        }
+
+        app.activate();
+
+        return true;
+    }
+
+    CycleWindows(appId, reverse) {
+
+        const appButtons = this._findAppButtons(appId);
+
+        if (!appButtons.length) {
+            return false;
+        }
+
+        // each app button represents a single window when windows are not grouped
+        if (!appButtons[0].window) {
+            return appButtons[0].cycleWindows(reverse);
+        }
+
+        const l = appButtons.length;
+        const activeIndex = appButtons.findIndex(appButton => appButton.isActive);
+
+        const nextIndex = (
+            activeIndex < 0 ?
+            0 :
+            (activeIndex + (reverse ? -1 : 1) + l) % l
+        );
+
+        if (nextIndex === activeIndex) {
+            return true;
+        }
+
+        appButtons[nextIndex].activate();
+
+        return true;
+    }
+
+    SetBadge(appId, count) {
+        NotificationHandler.setBadge(this._lookupApp(appId)?.id || appId, count);
+    }
+
+    GetNotificationCounts() {
+
+        const { total, byAppId } = NotificationHandler.getCounts();
+
+        return [total, Object.fromEntries(byAppId)];
+    }
+
+    //#endregion dbus methods
+
+    //#region private methods
+
+    _getAppButtons() {
+
+        let appButtons = []; // [{ appButton, monitorIndex, position }...]
+
+        for (let i = 0, l = this._taskbars.length; i < l; ++i) {
+
+            const taskbar = this._taskbars[i];
+            const taskbarAppButtons = taskbar.getAppButtons();
+
+            for (let j = 0, k = taskbarAppButtons.length; j < k; ++j) {
+                appButtons.push({
+                    appButton: taskbarAppButtons[j],
+                    monitorIndex: taskbar.getMonitorIndex(),
+                    position: j
+                });
+            }
+        }
+
+        return appButtons;
+    }
+
+    _findAppButtons(appId) {
+
+        const app = this._lookupApp(appId);
+
+        if (!app) {
+            return [];
+        }
+
+        return this._getAppButtons().map(
+            ({ appButton }) => appButton
+        ).filter(
+            appButton => appButton.appId === app.id
+        );
+    }
+
+    _lookupApp(appId) {
+
+        if (!appId) {
+            return null;
+        }
+
+        const appSystem = Shell.AppSystem.get_default();
+
+        // allow to omit the .desktop suffix in scripts
+        return (
+            appSystem.lookup_app(appId) ||
+            appSystem.lookup_app(`${appId}.desktop`)
+        );
+    }
+
+    _emitNotificationCountsChanged() {
+
+        const { total, byAppId } = NotificationHandler.getCounts();
+
+        // badges change counts of apps without changing the count of notifications
+        const notificationCounts = JSON.stringify([total, [...byAppId].sort()]);
+
+        if (this._notificationCounts === notificationCounts) {
+            return;
+        }
+
+        this._notificationCounts = notificationCounts;
+
+        this._dbusImpl.emit_signal('NotificationCountsChanged', new GLib.Variant('(i)', [total]));
+    }
+
+    //#endregion private methods
+
+}
\ No newline at end of file
@@ -0,0 +1,290 @@
+/* exported LaunchHandler */
+
+//#region imports
+
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+// some apps never open a window, e.g. when another instance is activated
+const LAUNCH_TIMEOUT = 30000;
+
+class LaunchService {
+
+    constructor() {
+
+        this._handlers = []; // [LaunchHandler...]
+        this._launches = new Map(); // appId => { app, windowsCount, sequenceIds, connectionId, timeout }
+
+        this._appSystem = Shell.AppSystem.get_default();
+        this._startupNotification = global.display.get_startup_notification();
+
+        this._connections = new Connections();
+        this._connections.add(this._appSystem, 'app-state-changed', (appSystem, app) => this._handleAppState(app));
+        this._connections.add(this._startupNotification, 'changed', (startupNotification, sequence) => {
+            this._handleStartupSequence(sequence);
+        });
+
+        // apps could be launched before the service is created
+        const sequences = this._startupNotification.get_sequences();
+
+        for (let i = 0, l = sequences.length; i < l; ++i) {
+            this._handleStartupSequence(sequences[i]);
+        }
+    }
+
+    destroy() {
+
+        this._connections.destroy();
+        this._connections = null;
+
+        [...this._launches.keys()].forEach(appId => this._finishLaunch(appId, false));
+    }
+
+    addHandler(handler) {
+
+        if (!handler) {
+            return;
+        }
+
+        this._handlers.push(handler);
+
+        this._notifyHandler(handler);
+    }
+
+    removeHandler(handler) {
+
+        if (!handler) {
+            return;
+        }
+
+        const handlerIndex = this._handlers.indexOf(handler);
+
+        if (handlerIndex < 0) {
+            return;
+        }
+
+        this._handlers.splice(handlerIndex, 1);
+    }
+
+    isEmpty() {
+        return !this._handlers.length;
+    }
+
+    startLaunch(app, sequenceId = null) {
+
+        if (!app?.id) {
+            return;
+        }
+
+        let launch = this._launches.get(app.id);
+
+        if (!launch) {
+
+            launch = {
+                app: app,
+                windowsCount: app.get_n_windows(),
+                sequenceIds: new Set(),
+                // the launch is over when the first new window appears
+                connectionId: app.connect('windows-changed', () => this._handleAppWindows(app)),
+                timeout: Timeout.default(LAUNCH_TIMEOUT).run(() => this._finishLaunch(app.id))
+            };
+
+            this._launches.set(app.id, launch);
+
+            this._notifyHandlers(app.id);
+        }
+
+        if (sequenceId) {
+            launch.sequenceIds.add(sequenceId);
+        }
+    }
+
+    _finishLaunch(appId, notify = true) {
+
+        const launch = this._launches.get(appId);
+
+        if (!launch) {
+            return;
+        }
+
+        launch.app.disconnect(launch.connectionId);
+        launch.timeout.destroy();
+
+        this._launches.delete(appId);
+
+        if (notify) {
+            this._notifyHandlers(appId);
+        }
+    }
+
+    _handleAppState(app) {
+
+        switch (app?.state) {
+
+            case Shell.AppState.STARTING:
+                this.startLaunch(app);
+                break;
+
+            // the app has failed to start
+            case Shell.AppState.STOPPED:
+                this._finishLaunch(app.id);
+                break;
+
+        }
+    }
+
+    _handleAppWindows(app) {
+
+        const launch = this._launches.get(app.id);
+
+        if (!launch) {
+            return;
+        }
+
+        const windowsCount = app.get_n_windows();
+
+        if (windowsCount > launch.windowsCount) {
+            this._finishLaunch(app.id);
+            return;
+        }
+
+        // other windows of the app could be closed in the meantime
+        launch.windowsCount = windowsCount;
+    }
+
+    _handleStartupSequence(sequence) {
+
+        if (!sequence) {
+            return;
+        }
+
+        const sequenceId = sequence.get_id();
+
+        // completed and removed sequences finish the launch of their app
+        if (sequence.get_completed() || !this._startupNotification.get_sequences().includes(sequence)) {
+
+            for (const [appId, launch] of this._launches) {
+                if (launch.sequenceIds.has(sequenceId)) {
+                    this._finishLaunch(appId);
+                }
+            }
+
+            return;
+        }
+
+        this.startLaunch(this._getSequenceApp(sequence), sequenceId);
+    }
+
+    _getSequenceApp(sequence) {
+
+        // the id could be a path to the desktop file
+        const applicationId = sequence.get_application_id();
+
+        if (applicationId) {
+
+            const app = this._appSystem.lookup_app(GLib.path_get_basename(applicationId));
+
+            if (app) {
+                return app;
+            }
+        }
+
+        const wmClass = sequence.get_wmclass();
+
+        return wmClass ? this._appSystem.lookup_startup_wmclass(wmClass) : null;
+    }
+
+    _notifyHandlers(appId) {
+
+        for (let i = 0, l = this._handlers.length; i < l; ++i) {
+
+            const handler = this._handlers[i];
+
+            if (!handler.appId || handler.appId === appId) {
+                this._notifyHandler(handler);
+            }
+        }
+    }
+
+    _notifyHandler(handler) {
+
+        if (handler.appId) {
+            handler.setLaunching(this._launches.has(handler.appId));
+            return;
+        }
+
+        handler.setLaunchingApps([...this._launches.values()].map(launch => launch.app));
+    }
+
+}
+
+export class LaunchHandler {
+
+    // static instance of LaunchService
+    static _service = null;
+
+    /*
+     * callback: (isLaunching) => {} for the app, or (apps) => {} with all launching apps when appId is null
+     * appId: app Id to filter launches
+     */
+    constructor(callback, appId = null) {
+
+        this.appId = appId;
+
+        this._callback = callback;
+
+        if (!LaunchHandler._service) {
+            LaunchHandler._service = new LaunchService();
+        }
+
+        LaunchHandler._service.addHandler(this);
+    }
+
+    destroy() {
+
+        this._callback = null;
+
+        if (!LaunchHandler._service) {
+            return;
+        }
+
+        LaunchHandler._service.removeHandler(this);
+
+        if (LaunchHandler._service.isEmpty()) {
+            LaunchHandler._service.destroy();
+            LaunchHandler._service = null;
+        }
+    }
+
+    /*
+     * Track the launch of the app started by the user, e.g. a new window of a running app
+     */
+    launch(app) {
+        LaunchHandler._service?.startLaunch(app);
+    }
+
+    setLaunching(isLaunching) {
+
+        if (!this._callback) {
+            return;
+        }
+
+        this._callback(isLaunching);
+    }
+
+    setLaunchingApps(apps) {
+
+        if (!this._callback) {
+            return;
+        }
+
+        this._callback(apps);
+    }
+
+}
\ No newline at end of file
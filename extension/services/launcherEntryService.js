@@ -0,0 +1,170 @@
+/* exported LauncherEntryHandler */
+
+//#region imports
+
+// custom modules import
+import { LauncherAPI } from '../utils/launcherAPI.js';
+
+//#endregion imports
+
+class LauncherEntryService {
+
+    // store the entries in a static variable
+    // to restore them after unlocking user's session
+    static _entriesByAppId = null; // Map
+
+    constructor() {
+
+        this._handlers = []; // [LauncherEntryHandler...]
+
+        if (!LauncherEntryService._entriesByAppId) {
+            LauncherEntryService._entriesByAppId = new Map();
+        }
+
+        this._dbusHandler = LauncherAPI.instance().subscribe((params, sender) => this._update(params, sender));
+    }
+
+    destroy() {
+        LauncherAPI.instance().unsubscribe(this._dbusHandler);
+    }
+
+    addHandler(handler) {
+
+        if (!handler) {
+            return;
+        }
+
+        this._handlers.push(handler);
+
+        handler.setEntry(LauncherEntryService._entriesByAppId.get(handler.appId) || null);
+    }
+
+    removeHandler(handler) {
+
+        if (!handler) {
+            return;
+        }
+
+        const handlerIndex = this._handlers.indexOf(handler);
+
+        if (handlerIndex < 0) {
+            return;
+        }
+
+        this._handlers.splice(handlerIndex, 1);
+    }
+
+    isEmpty() {
+        return !this._handlers.length;
+    }
+
+    _update(params, sender) {
+
+        if (!params) {
+            return;
+        }
+
+        const [ appUri, props ] = params.deepUnpack();
+
+        const appId = appUri?.replace(/(^\w+:|^)\/\//, '');
+
+        if (!appId || !props) {
+            return;
+        }
+
+        // apps send only changed properties so merge them with the known ones
+        let entry = {
+            progress: 0,
+            progressVisible: false,
+            urgent: false,
+            quicklist: null, // { busName, objectPath }
+            ...LauncherEntryService._entriesByAppId.get(appId)
+        };
+
+        if (props['progress']) {
+            entry.progress = Math.clamp(props['progress'].get_double(), 0, 1);
+        }
+
+        if (props['progress-visible']) {
+            entry.progressVisible = props['progress-visible'].get_boolean();
+        }
+
+        if (props['urgent']) {
+            entry.urgent = props['urgent'].get_boolean();
+        }
+
+        if (props['quicklist']) {
+
+            const [objectPath] = props['quicklist'].get_string();
+
+            entry.quicklist = (
+                objectPath && objectPath !== '/' && sender ?
+                { busName: sender, objectPath } :
+                null
+            );
+        }
+
+        LauncherEntryService._entriesByAppId.set(appId, entry);
+
+        for (let i = 0, l = this._handlers.length; i < l; ++i) {
+
+            const handler = this._handlers[i];
+
+            if (handler.appId === appId) {
+                handler.setEntry(entry);
+            }
+        }
+    }
+
+}
+
+export class LauncherEntryHandler {
+
+    // static instance of LauncherEntryService
+    static _service = null;
+
+    /*
+     * callback: (entry) => {} to notify handler target about changes of the launcher entry
+     * appId: app Id to filter launcher entries
+     */
+    constructor(callback, appId) {
+
+        this.appId = appId;
+
+        this._callback = callback;
+
+        if (!LauncherEntryHandler._service) {
+            LauncherEntryHandler._service = new LauncherEntryService();
+        }
+
+        LauncherEntryHandler._service.addHandler(this);
+    }
+
+    destroy() {
+
+        this.setEntry(null);
+
+        this._callback = null;
+
+        if (!LauncherEntryHandler._service) {
+            return;
+        }
+
+        LauncherEntryHandler._service.removeHandler(this);
+
+        if (LauncherEntryHandler._service.isEmpty()) {
+            LauncherEntryHandler._service.destroy();
+            LauncherEntryHandler._service = null;
+        }
+    }
+
+    setEntry(entry) {
+
+        if (!this._callback) {
+            return;
+        }
+
+        this._callback(entry);
+    }
+
+}
\ No newline at end of file
@@ -56,6 +56,11 @@ class UnityDBusConnector {
             return;
         }
 
+        // ignore updates of other properties such as progress or urgency
+        if (!props['count'] && !props['count-visible']) {
+            return;
+        }
+
         const count = props['count']?.get_int64() ?? 0;
         const countVisible = props['count-visible']?.get_boolean() ?? false;
 
@@ -234,6 +239,7 @@ class NotificationService {
         this._resetCounts();
 
         let unityAppIds = new Set();
+        let sourceCountByAppId = new Map();
 
         // let's use the Unity dbus connection
         // as the source of truth to count notifications for apps
@@ -255,6 +261,10 @@ class NotificationService {
 
             let appId = this._getNotificationAppId(source);
 
+            if (appId) {
+                sourceCountByAppId.set(appId, (sourceCountByAppId.get(appId) || 0) + sourceCount);
+            }
+
             if (!appId || unityAppIds.has(appId)) {
                 continue;
             }
@@ -270,9 +280,32 @@ class NotificationService {
             this._countByAppId.set(appId, countForApp);
         }
 
+        // badges set via the Rocketbar D-Bus interface override other sources
+        NotificationHandler._badgeCountByAppId.forEach((count, appId) => {
+            this._countByAppId.set(appId, count);
+        });
+
+        // counts of apps replaced by Unity counts and badges are included in the total of getCounts
+        this._countsTotal = this._totalCount;
+
+        this._countByAppId.forEach((count, appId) => {
+            this._countsTotal += count - (sourceCountByAppId.get(appId) || 0);
+        });
+
         this._triggerHandlers();
     }
 
+    getCounts() {
+        return {
+            total: this._countsTotal,
+            byAppId: new Map(this._countByAppId)
+        };
+    }
+
+    queueUpdateCount() {
+        this._queueUpdateCount();
+    }
+
     _getNotificationAppId(source) {
         if (source.constructor?.name === NotificationSource.FdoNotification) {
             return cleanAppId(source.app?.id);
@@ -287,6 +320,7 @@ class NotificationService {
 
     _resetCounts() {
         this._totalCount = 0;
+        this._countsTotal = 0;
         this._countByAppId = new Map();
     }
 
@@ -312,6 +346,39 @@ export class NotificationHandler {
     // static instance of NotificationService
     static _service = null;
 
+    // badges set by scripts, stored separately to survive recreation of the service
+    static _badgeCountByAppId = new Map();
+
+    /*
+     * Set a custom notification badge for the app, 0 to remove the badge
+     */
+    static setBadge(appId, count) {
+
+        appId = cleanAppId(appId);
+
+        if (!appId) {
+            return;
+        }
+
+        if (count > 0) {
+            NotificationHandler._badgeCountByAppId.set(appId, count);
+        } else {
+            NotificationHandler._badgeCountByAppId.delete(appId);
+        }
+
+        NotificationHandler._service?.queueUpdateCount();
+    }
+
+    /*
+     * Get the total count of notifications and counts for apps
+     */
+    static getCounts() {
+        return NotificationHandler._service?.getCounts() ?? {
+            total: 0,
+            byAppId: new Map()
+        };
+    }
+
     /*
      * callback: (count) => {} to notify handler target about notifications
      * appId: optional string value to filter notifications by app Id, null to get total count
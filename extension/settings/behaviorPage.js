@@ -1,7 +1,10 @@
+import Adw from 'gi://Adw';
 import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
 import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
 import { SettingsPageTemplate } from './pageTemplate.js';
+import { MouseBindings } from '../utils/mouseBindings.js';
 
 export const BehaviorPage = GObject.registerClass(
     class Rocketbar__BehaviorPage extends SettingsPageTemplate {
@@ -23,10 +26,18 @@ export const BehaviorPage = GObject.registerClass(
             // Taskbar
             this._addTaskbarOptions();
 
+            // Mouse Bindings
+            this._addMouseBindingsOptions();
+
+            // Hotkeys
+            this._addHotkeysOptions();
+
             // Notification Service
             this.addGroup(_('Notification Service'), [
                 this.createSwitch(_('Enable Unity Launcher API support'), 'notification-service-enable-unity-dbus',
                                   _('Use Unity Launcher API DBus interface to count notifications for apps')),
+                this.createSwitch(_('Enable Unity Launcher API progress, urgency and quicklists'), 'appbutton-enable-launcher-entry',
+                                  _('Display progress bars, urgency animation and quicklist items provided by apps')),
                 this.createSwitch(_('Count Window Demands Attention notifications for apps'), 'notification-service-count-attention-sources')
             ]);
 
@@ -64,7 +75,11 @@ export const BehaviorPage = GObject.registerClass(
 
             const activateBehaviorOptions = [
                 { label: _('New window'), value: 'new_window' },
-                { label: _('Move windows'), value: 'move_windows' }, 
+                { label: _('Move windows'), value: 'move_windows' },
+                { label: _('Switch to workspace'), value: 'switch_to_workspace' },
+                { label: _('Show window previews'), value: 'show_previews' },
+                { label: _('Spread windows'), value: 'spread' },
+                { label: _('Raise all windows'), value: 'raise_all' }
             ];
 
             this.addVisibilityControl([this.addGroup(_('Taskbar'), [
@@ -73,6 +88,8 @@ export const BehaviorPage = GObject.registerClass(
                 this.createSwitch(_('Enable Minimize action'), 'appbutton-enable-minimize-action',
                                   _('Allow to minimize single app windows by clicking apps in the taskbar')),
                 this.createSwitch(_('Require click to open context menus'), 'appbutton-menu-require-click'),
+                this.createSwitch(_('Show launching apps'), 'taskbar-show-launching-apps',
+                                  _('Add temporary buttons for apps launched from outside the taskbar while they start')),
                 ...this.addVisibilityControl([
                     this.createSwitch(_('Middle click to toggle app sound mute'), 'appbutton-middle-button-sound-mute',
                                       _('By default Middle click is used to open new app windows and to close the first app window when Ctrl is pressed')),
@@ -86,12 +103,144 @@ export const BehaviorPage = GObject.registerClass(
                         !value : true
                     )
                 }),
-                ...this.addVisibilityControl([this.createPicklist(
+                this.createPicklist(
                     _('Running apps activation behavior'), 'appbutton-running-app-activate-behavior',
                     activateBehaviorOptions,
-                    _('Controls the behavior when an app is running but has no windows on the active workspace, supports isolated workspaces only, ' +
+                    _('Controls the behavior when an app is running but has no windows on the active workspace, ' +
+                    'previews, spread and raise all also replace cycling through several windows of the app, ' +
                     'can be configured separately for each app via an app menu')
-                )], { 'taskbar-isolate-workspaces': value => value })
+                ),
+                this.createSwitch(_('Spread windows of all workspaces'), 'appbutton-spread-all-workspaces',
+                                  _('Display windows of an app side by side, select them using arrow keys and type to filter them by title'))
+            ])], { 'taskbar-enabled': value => value });
+        }
+
+        _addMouseBindingsOptions() {
+
+            const triggers = [
+                { label: _('Left click'), value: 'left' },
+                { label: _('Middle click'), value: 'middle' },
+                { label: _('Right click'), value: 'right' },
+                { label: _('Scroll up'), value: 'scroll_up' },
+                { label: _('Scroll down'), value: 'scroll_down' }
+            ];
+
+            const modifiers = [
+                { label: _('Without modifiers'), value: [] },
+                { label: _('With Ctrl'), value: ['ctrl'] },
+                { label: _('With Shift'), value: ['shift'] },
+                { label: _('With Alt'), value: ['alt'] }
+            ];
+
+            const actionOptions = [
+                { label: _('Default'), value: null },
+                { label: _('None'), value: 'none' },
+                { label: _('Activate'), value: 'activate' },
+                { label: _('Cycle windows'), value: 'cycle_windows' },
+                { label: _('New window'), value: 'new_window' },
+                { label: _('Close window'), value: 'close_window' },
+                { label: _('Close all windows'), value: 'close_all' },
+                { label: _('Minimize all windows'), value: 'minimize_all' },
+                { label: _('Show window previews'), value: 'show_previews' },
+                { label: _('Spread windows'), value: 'spread' },
+                { label: _('Toggle sound mute'), value: 'toggle_mute' },
+                { label: _('Change sound volume'), value: 'change_volume' },
+                { label: _('Move windows to the active workspace'), value: 'move_to_workspace' },
+                { label: _('Open context menu'), value: 'menu' },
+                { label: _('Launch a custom command'), value: 'launch_command' }
+            ];
+
+            const group = this.addGroup(_('Mouse Bindings'), triggers.map(trigger => {
+
+                const expanderRow = new Adw.ExpanderRow({
+                    title: trigger.label
+                });
+
+                // the sound volume is changed by scrolling only
+                const options = actionOptions.filter(option => (
+                    option.value !== 'change_volume' || trigger.value.startsWith('scroll')
+                ));
+
+                modifiers.forEach(modifier => {
+                    this._createMouseBindingRows(
+                        MouseBindings.getKey(trigger.value, modifier.value),
+                        modifier.label, options
+                    ).forEach(row => expanderRow.add_row(row));
+                });
+
+                return expanderRow;
+            }));
+
+            group.description = _('Default actions follow the options of the Taskbar group, ' +
+                                  '{app_id} in custom commands is replaced with the id of the app');
+
+            this.addVisibilityControl([group], { 'taskbar-enabled': value => value });
+        }
+
+        _createMouseBindingRows(key, title, options) {
+
+            const value = MouseBindings.load(this._settings)[key];
+            const { action, command } = MouseBindings.parseAction(value);
+            const values = options.map(option => option.value);
+            const actionsList = new Gtk.StringList();
+
+            options.forEach(option => actionsList.append(option.label));
+
+            const actionRow = new Adw.ComboRow({
+                title: title,
+                model: actionsList,
+                selected: value ? Math.max(values.indexOf(action), 0) : 0
+            });
+
+            const commandRow = new Adw.EntryRow({
+                title: _('Command'),
+                text: command || '',
+                show_apply_button: true,
+                visible: action === 'launch_command'
+            });
+
+            const saveBinding = () => {
+
+                const selectedAction = values[actionRow.selected];
+
+                commandRow.visible = selectedAction === 'launch_command';
+
+                MouseBindings.save(
+                    this._settings, key,
+                    selectedAction === 'launch_command' ?
+                    MouseBindings.formatCommand(commandRow.text) :
+                    selectedAction
+                );
+            };
+
+            actionRow.connect('notify::selected', saveBinding);
+
+            // the command is saved when the user applies it
+            commandRow.connect('apply', saveBinding);
+
+            return [actionRow, commandRow];
+        }
+
+        _addHotkeysOptions() {
+
+            let hotkeyOptions = [];
+
+            for (let i = 1; i <= 9; ++i) {
+                hotkeyOptions.push(this.createShortcut(`${_('Activate app at position')} ${i}`, `taskbar-hotkey-${i}`));
+            }
+
+            this.addVisibilityControl([this.addGroup(_('Hotkeys'), [
+                this.createShortcut(_('Focus the taskbar'), 'taskbar-focus-hotkey',
+                                    _('Use arrow keys to select apps, Enter to activate, Menu or Shift+F10 to open context menus, ' +
+                                    'Delete to close windows and Escape to return to the previous window')),
+                this.createSwitch(_('Enable hotkeys'), 'taskbar-enable-hotkeys',
+                                  _('Activate, cycle windows or open a new window of apps by their position in the taskbar, ' +
+                                  'replaces Super+1..9 shortcuts of the Dash')),
+                ...this.addVisibilityControl([
+                    this.createSwitch(_('Show hotkey numbers'), 'taskbar-hotkeys-show-overlay',
+                                      _('Display positions on app buttons while Super is held after using a hotkey')),
+                    ...hotkeyOptions
+                ], { 'taskbar-enable-hotkeys': value => value })
             ])], { 'taskbar-enabled': value => value });
         }
 
@@ -103,7 +252,18 @@ export const BehaviorPage = GObject.registerClass(
                 { label: _('Switch Workspace'), value: 'switch_workspace' }
             ];
 
+            const hideModeOptions = [
+                { label: _('Always visible'), value: 'none' },
+                { label: _('Intellihide'), value: 'intellihide' },
+                { label: _('Autohide'), value: 'autohide' }
+            ];
+
             this.addGroup(_('Panel'), [
+                this.createPicklist(_('Hide Mode'), 'panel-hide-mode', hideModeOptions,
+                                    _('Push the pointer against the screen edge to reveal the hidden panel')),
+                ...this.addVisibilityControl([
+                    this.createSpinButton(_('Pressure Threshold'), 'panel-pressure-threshold', { min: 0, max: 500 })
+                ], { 'panel-hide-mode': value => value !== 'none' }),
                 this.createSwitch(_('Require click to activate menu buttons'), 'panel-menu-require-click'),
                 this.createSwitch(_('Middle click to toggle sound mute'), 'panel-enable-middle-button',
                                   _('Press middle button on an empty space of the panel')),
@@ -45,7 +45,8 @@ export const CustomizePage = GObject.registerClass(
                 'taskbar-enabled': value => value,
                 'appbutton-enable-indicators': null,
                 'appbutton-enable-notification-badges': null,
-                'appbutton-enable-tooltips': null
+                'appbutton-enable-tooltips': null,
+                'appbutton-enable-previews': null
             }, option => {
 
                 if (!option) {
@@ -64,7 +65,12 @@ export const CustomizePage = GObject.registerClass(
                 } else if (option === notificationBadgeOptions) {
                     settingsKey = 'appbutton-enable-notification-badges';
                 } else if (option === tooltipOptions) {
-                    settingsKey = 'appbutton-enable-tooltips';
+                    // the show delay is used by window previews as well
+                    option.visible = (
+                        this._settings.get_boolean('appbutton-enable-tooltips') ||
+                        this._settings.get_boolean('appbutton-enable-previews')
+                    );
+                    return;
                 } else return;
 
                 option.visible = this._settings.get_boolean(settingsKey);
@@ -88,6 +94,23 @@ export const CustomizePage = GObject.registerClass(
                 { label: _('Right'), value: 'right' }
             ];
 
+            const showDesktopButtonOptions = [
+                { label: _('None'), value: 'none' },
+                { label: _('At the start of the taskbar'), value: 'start' },
+                { label: _('At the end of the taskbar'), value: 'end' }
+            ];
+
+            const workspaceSwitcherOptions = [
+                { label: _('None'), value: 'none' },
+                { label: _('At the start of the taskbar'), value: 'start' },
+                { label: _('At the end of the taskbar'), value: 'end' }
+            ];
+
+            const workspaceLabelOptions = [
+                { label: _('Numbers'), value: 'number' },
+                { label: _('Names'), value: 'name' }
+            ];
+
             return this.addGroup(_('Taskbar'), [
                 this.createPicklist(
                     _('Position'), 'taskbar-position',
@@ -98,7 +121,27 @@ export const CustomizePage = GObject.registerClass(
                     { min: 0, max: 15 }
                 ),
                 this.createSwitch(_('Preserve Position'), 'taskbar-preserve-position',
-                                  _('Prevent position changes caused by other extensions in the panel'))
+                                  _('Prevent position changes caused by other extensions in the panel')),
+                this.createPicklist(
+                    _('Show Desktop Button'), 'taskbar-show-desktop-button',
+                    showDesktopButtonOptions
+                ),
+                ...this.addVisibilityControl([
+                    this.createSwitch(_('Peek at Desktop'), 'taskbar-show-desktop-peek',
+                                      _('Make windows transparent while the Show Desktop button is hovered'))
+                ], { 'taskbar-show-desktop-button': value => value !== 'none' }),
+                this.createPicklist(
+                    _('Workspace Switcher'), 'taskbar-workspace-switcher',
+                    workspaceSwitcherOptions
+                ),
+                ...this.addVisibilityControl([
+                    this.createPicklist(
+                        _('Workspace Labels'), 'workspace-switcher-label-mode',
+                        workspaceLabelOptions
+                    ),
+                    this.createSwitch(_('Show App Icons in Workspaces'), 'workspace-switcher-show-icons',
+                                      _('Drop an app button to a workspace to move its windows there'))
+                ], { 'taskbar-workspace-switcher': value => value !== 'none' })
             ]);
         }
 
@@ -107,6 +150,28 @@ export const CustomizePage = GObject.registerClass(
             const backlightColorRow = this.createColorButton(_('Backlight Color'), 'appbutton-backlight-color');
             backlightColorRow.activatable_widget.use_alpha = false;
 
+            const labelModeOptions = [
+                { label: _('Window title in the one button per window mode'), value: 'ungrouped' },
+                { label: _('None'), value: 'none' },
+                { label: _('Active window title'), value: 'title' },
+                { label: _('App name'), value: 'app_name' }
+            ];
+
+            const launchFeedbackOptions = [
+                { label: _('None'), value: 'none' },
+                { label: _('Pulse'), value: 'pulse' },
+                { label: _('Bounce'), value: 'bounce' },
+                { label: _('Spinner'), value: 'spinner' }
+            ];
+
+            const attentionEffectOptions = [
+                { label: _('None'), value: 'none' },
+                { label: _('Pulse'), value: 'pulse' },
+                { label: _('Wiggle'), value: 'wiggle' },
+                { label: _('Glow'), value: 'glow' },
+                { label: _('Blinking indicator'), value: 'blink' }
+            ];
+
             return this.addGroup(_('App Buttons'), [
                 this.createSlider(
                     _('Icon Size'), 'appbutton-icon-size',
@@ -136,6 +201,27 @@ export const CustomizePage = GObject.registerClass(
                 this.createSpinButton(
                     _('Backlight Intensity'), 'appbutton-backlight-intensity',
                     { min: 0, max: 9 }
+                ),
+                this.createPicklist(
+                    _('Label'), 'appbutton-label-mode',
+                    labelModeOptions,
+                    _('Labels shrink when the taskbar doesn\'t fit into the panel')
+                ),
+                ...this.addVisibilityControl([
+                    this.createSpinButton(
+                        _('Label Max Width'), 'appbutton-label-max-width',
+                        { min: 50, max: 500 }
+                    )
+                ], { 'appbutton-label-mode': value => value !== 'none' }),
+                this.createPicklist(
+                    _('Launch Feedback'), 'appbutton-launch-feedback',
+                    launchFeedbackOptions,
+                    _('Displayed from the click until the first window of the app appears')
+                ),
+                this.createPicklist(
+                    _('Attention Effect'), 'appbutton-attention-effect',
+                    attentionEffectOptions,
+                    _('Displayed while an inactive app has urgent windows or is marked urgent via the Unity Launcher API')
                 )
             ]);
         }
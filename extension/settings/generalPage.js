@@ -23,6 +23,9 @@ export const GeneralPage = GObject.registerClass(
             // Taskbar
             this._addTaskbarOptions();
 
+            // Dock
+            this._addDockOptions();
+
             // Notification Counter
             this.addGroup(_('Notification Counter'), [
                 this.createSwitch(_('Enabled'), 'notification-counter-enabled')
@@ -34,20 +37,92 @@ export const GeneralPage = GObject.registerClass(
         }
 
         _addTaskbarOptions() {
+
+            const sortModeOptions = [
+                { label: _('Manual'), value: 'manual' },
+                { label: _('Launch order'), value: 'launch_order' },
+                { label: _('Alphabetical'), value: 'alphabetical' },
+                { label: _('Most recently focused'), value: 'recently_focused' },
+                { label: _('Grouped by workspace'), value: 'workspace' }
+            ];
+
+            const overflowModeOptions = [
+                { label: _('Scroll'), value: 'scroll' },
+                { label: _('Shrink and collapse'), value: 'shrink' }
+            ];
+
+            const workspaceFavoritesModeOptions = [
+                { label: _('Disabled'), value: 'global' },
+                { label: _('Added to global pinned apps'), value: 'layer' },
+                { label: _('Replace global pinned apps'), value: 'replace' }
+            ];
+
             this.addGroup(_('Taskbar'), [
                 this.createSwitch(_('Enabled'), 'taskbar-enabled'),
                 ...this.addVisibilityControl([
                     this.createSwitch(_('Show Favorites'), 'taskbar-show-favorites'),
+                    this.createPicklist(_('Pinned apps per workspace'), 'taskbar-workspace-favorites-mode',
+                                        workspaceFavoritesModeOptions,
+                                        _('Apps dropped to the taskbar are pinned to the current workspace')),
                     this.createSwitch(_('Isolate Workspaces'), 'taskbar-isolate-workspaces'),
+                    this.createSwitch(_('Ungroup Windows'), 'taskbar-ungroup-windows',
+                                      _('Display a separate button for each window')),
+                    this.createPicklist(_('Running apps order'), 'taskbar-sort-mode', sortModeOptions,
+                                        _('Running apps can be reordered using Drag and Drop in the Manual mode only')),
+                    this.createSwitch(_('Mix pinned and running apps'), 'taskbar-mix-pinned-apps',
+                                      _('Order pinned and running apps together, Drag and Drop defines the order in the Manual mode')),
+                    this.createPicklist(_('Overflow'), 'taskbar-overflow-mode', overflowModeOptions,
+                                        _('Shrink app buttons and collapse the rest into the +N button when they don\'t fit')),
+                    this.createSwitch(_('Show on all monitors'), 'taskbar-all-monitors',
+                                      _('Display a taskbar on every monitor with windows from that monitor only')),
                     this.createSwitch(_('Enable Indicators'), 'appbutton-enable-indicators'),
                     this.createSwitch(_('Enable Notification Badges'), 'appbutton-enable-notification-badges'),
                     this.createSwitch(_('Enable Tooltips'), 'appbutton-enable-tooltips'),
+                    this.createSwitch(_('Enable Window Previews'), 'appbutton-enable-previews',
+                                      _('Show live previews of app windows instead of tooltips')),
                     this.createSwitch(_('Enable Sound Volume Control'), 'appbutton-enable-sound-control',
                                       _('Experimental feature'))
                 ], { 'taskbar-enabled': value => value })
             ]);
         }
 
+        _addDockOptions() {
+
+            const positionOptions = [
+                { label: _('Bottom'), value: 'bottom' },
+                { label: _('Left'), value: 'left' },
+                { label: _('Right'), value: 'right' }
+            ];
+
+            const hideModeOptions = [
+                { label: _('Always visible'), value: 'none' },
+                { label: _('Intellihide'), value: 'intellihide' },
+                { label: _('Autohide'), value: 'autohide' }
+            ];
+
+            const isAutohide = () => (
+                this._settings.get_boolean('dock-enabled') &&
+                this._settings.get_string('dock-hide-mode') === 'autohide'
+            );
+
+            this.addGroup(_('Dock'), [
+                this.createSwitch(_('Enabled'), 'dock-enabled',
+                                  _('Display the taskbar in a separate dock instead of the top panel')),
+                ...this.addVisibilityControl([
+                    this.createPicklist(_('Position'), 'dock-position', positionOptions),
+                    this.createPicklist(_('Hide Mode'), 'dock-hide-mode', hideModeOptions,
+                                        _('Intellihide hides the dock when a window overlaps it'))
+                ], { 'dock-enabled': value => value }),
+                ...this.addVisibilityControl([
+                    this.createSpinButton(
+                        _('Pressure Threshold'), 'dock-pressure-threshold',
+                        { min: 0, max: 500 },
+                        _('Push the pointer against the screen edge to reveal the dock')
+                    )
+                ], { 'dock-enabled': isAutohide, 'dock-hide-mode': isAutohide })
+            ]);
+        }
+
         _addOverviewOptions() {
             this.addGroup(_('Overview'), [
                 this.createSwitch(_('Kill the Dash'), 'overview-kill-dash',
@@ -3,6 +3,7 @@ import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Gtk from 'gi://Gtk';
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
 export const SettingsPageTemplate = GObject.registerClass(
     class Rocketbar__SettingsPageTemplate extends Adw.PreferencesPage {
@@ -216,6 +217,83 @@ export const SettingsPageTemplate = GObject.registerClass(
             return colorButtonRow;
         }
 
+        createShortcut(title, settingsKey, subtitle) {
+
+            const shortcutLabel = new Gtk.ShortcutLabel({
+                accelerator: this._settings.get_strv(settingsKey)[0] || '',
+                disabled_text: _('Disabled'),
+                valign: Gtk.Align.CENTER
+            });
+
+            const shortcutRow = new Adw.ActionRow({
+                title: title,
+                subtitle: subtitle ? subtitle : null,
+                activatable: true
+            });
+
+            shortcutRow.add_suffix(shortcutLabel);
+
+            let isEditing = false;
+
+            const stopEditing = () => {
+                isEditing = false;
+                shortcutLabel.accelerator = this._settings.get_strv(settingsKey)[0] || '';
+                shortcutLabel.disabled_text = _('Disabled');
+            };
+
+            // wait for a new shortcut after the row is activated
+            shortcutRow.connect('activated', () => {
+                isEditing = true;
+                shortcutLabel.accelerator = '';
+                shortcutLabel.disabled_text = _('Press a shortcut, Esc to cancel, Backspace to disable');
+                shortcutRow.grab_focus();
+            });
+
+            const keyController = new Gtk.EventControllerKey();
+
+            keyController.connect('key-pressed', (controller, keyval, keycode, state) => {
+
+                if (!isEditing) {
+                    return Gdk.EVENT_PROPAGATE;
+                }
+
+                const modifiers = state & Gtk.accelerator_get_default_mod_mask();
+
+                if (!modifiers && keyval === Gdk.KEY_Escape) {
+                    stopEditing();
+                    return Gdk.EVENT_STOP;
+                }
+
+                if (!modifiers && keyval === Gdk.KEY_BackSpace) {
+                    this._settings.set_strv(settingsKey, []);
+                    stopEditing();
+                    return Gdk.EVENT_STOP;
+                }
+
+                // wait for a complete shortcut when only modifiers are pressed
+                if (!Gtk.accelerator_valid(keyval, modifiers)) {
+                    return Gdk.EVENT_STOP;
+                }
+
+                this._settings.set_strv(settingsKey, [Gtk.accelerator_name(keyval, modifiers)]);
+
+                stopEditing();
+
+                return Gdk.EVENT_STOP;
+            });
+
+            shortcutRow.add_controller(keyController);
+
+            // cancel editing when the row loses focus
+            shortcutRow.connect('notify::has-focus', () => {
+                if (isEditing && !shortcutRow.has_focus) {
+                    stopEditing();
+                }
+            });
+
+            return shortcutRow;
+        }
+
         createLink(title, url) {
 
             const link = new Gtk.LinkButton({
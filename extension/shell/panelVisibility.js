@@ -0,0 +1,428 @@
+/* exported PanelVisibility */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import { PressureBarrier } from 'resource:///org/gnome/shell/ui/layout.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { Intellihide } from '../utils/intellihide.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const ANIMATION_DURATION = 200;
+const HIDE_DELAY = 500;
+const PRESSURE_TIMEOUT = 1000;
+const URGENT_REVEAL_DURATION = 3000;
+
+// popups of app buttons added to the chrome
+const APP_BUTTON_POPUPS = ['appButton-tooltip', 'appButton-preview'];
+
+/**
+ * Hides the Main panel when it's not in use
+ * and reveals it by pointer pressure at the screen edge or by urgent notifications,
+ * in fullscreen too when the fullscreen hot corner is enabled
+ */
+export class PanelVisibility {
+
+    //#region public methods
+
+    constructor(settings) {
+
+        this._settings = settings;
+        this._panelBox = Main.layoutManager.panelBox;
+        this._isHidden = false;
+
+        // the panel box should be hoverable to keep the panel revealed
+        this._panelBoxReactive = this._panelBox.reactive;
+        this._panelBoxTrackHover = this._panelBox.track_hover;
+
+        this._panelBox.reactive = true;
+        this._panelBox.track_hover = true;
+
+        this._createConnections();
+
+        this._handleSettings();
+    }
+
+    destroy() {
+
+        this._stopHide();
+
+        this._urgentRevealTimeout?.destroy();
+        this._urgentRevealTimeout = null;
+
+        this._intellihide?.destroy();
+        this._intellihide = null;
+
+        this._destroyBarrier();
+
+        this._connections.destroy();
+        this._connections = null;
+
+        this._destroySources();
+
+        this._panelBox.remove_all_transitions();
+        this._panelBox.set_translation(0, 0, 0);
+
+        this._panelBox.reactive = this._panelBoxReactive;
+        this._panelBox.track_hover = this._panelBoxTrackHover;
+
+        this._trackPanelBox(true, true);
+    }
+
+    //#endregion public methods
+
+    //#region private methods
+
+    _createConnections() {
+        this._connections = new Connections();
+        this._connections.add(this._panelBox, 'notify::hover', () => this._updateVisibility());
+        this._connections.add(this._panelBox, 'notify::height', () => this._handleLayout());
+        this._connections.add(Main.layoutManager, 'monitors-changed', () => this._handleLayout());
+        // the barrier leaves space for hot corners
+        this._connections.add(Main.layoutManager, 'hot-corners-changed', () => this._updateBarrier());
+        this._connections.add(Main.overview, 'showing', () => this._updateVisibility());
+        this._connections.add(Main.overview, 'hidden', () => this._updateVisibility());
+        this._connections.add(Main.sessionMode, 'updated', () => this._updateVisibility());
+        this._connections.add(global.display, 'in-fullscreen-changed', () => this._updateVisibility());
+        // keyboard navigation in the panel
+        this._connections.add(global.stage, 'notify::key-focus', () => this._updateVisibility());
+        this._connections.add(Main.messageTray, 'source-added', (tray, source) => this._addSource(source));
+        this._connections.add(Main.messageTray, 'source-removed', (tray, source) => this._removeSource(source));
+        this._connections.addScope(this._settings, [
+            'changed::panel-hide-mode',
+            'changed::panel-pressure-threshold',
+            'changed::dock-enabled',
+            'changed::hotcorner-enable-in-fullscreen'
+        ], () => this._handleSettings());
+
+        this._createSources();
+    }
+
+    _handleSettings() {
+
+        const revealInFullscreen = this._config?.revealInFullscreen;
+
+        this._config = {
+            // intellihide or autohide
+            hideMode: this._settings.get_string('panel-hide-mode'),
+            pressureThreshold: this._settings.get_int('panel-pressure-threshold'),
+            // popups of the taskbar in the dock don't belong to the panel
+            dockEnabled: this._settings.get_boolean('dock-enabled'),
+            // the screen edges are kept active in fullscreen by the hot corner tweak
+            revealInFullscreen: this._settings.get_boolean('hotcorner-enable-in-fullscreen')
+        };
+
+        // let windows take the space of the panel
+        if (this._config.revealInFullscreen !== revealInFullscreen) {
+            this._trackPanelBox(false, !this._config.revealInFullscreen);
+        }
+
+        if (this._config.hideMode === 'intellihide' && !this._intellihide) {
+            this._intellihide = new Intellihide(() => this._updateVisibility());
+        } else if (this._config.hideMode !== 'intellihide' && this._intellihide) {
+            this._intellihide.destroy();
+            this._intellihide = null;
+        }
+
+        this._updateBarrier();
+
+        this._updateVisibility();
+    }
+
+    _trackPanelBox(affectsStruts, trackFullscreen) {
+
+        Main.layoutManager.untrackChrome(this._panelBox);
+        Main.layoutManager.trackChrome(this._panelBox, {
+            affectsStruts: affectsStruts,
+            trackFullscreen: trackFullscreen
+        });
+
+        // the layout manager updates the visibility only when fullscreen changes
+        const monitor = Main.layoutManager.primaryMonitor;
+
+        this._panelBox.visible = !(trackFullscreen && global.window_group.visible && monitor?.inFullscreen);
+    }
+
+    _handleLayout() {
+
+        this._updateBarrier();
+
+        // keep the panel out of the screen
+        if (this._isHidden) {
+            this._setTranslation(true, false);
+        }
+    }
+
+    _isOnBottom() {
+
+        const monitor = Main.layoutManager.primaryMonitor;
+
+        return !!monitor && this._panelBox.y + this._panelBox.height / 2 > monitor.y + monitor.height / 2;
+    }
+
+    //#region visibility
+
+    _updateVisibility() {
+
+        if (this._panelBox.hover || !this._shouldHide()) {
+
+            this._stopHide();
+            this._show();
+
+            // menus and popups are closed without notifying the panel
+            if (!this._panelBox.hover && this._isPanelInUse()) {
+                this._queueHide();
+            }
+
+            return;
+        }
+
+        this._queueHide();
+    }
+
+    _shouldHide() {
+
+        if (Main.overview.visible || Main.sessionMode.isLocked ||
+                this._urgentRevealTimeout || this._isPanelInUse()) {
+            return false;
+        }
+
+        // the panel is kept in fullscreen only to be revealed by pressure
+        if (Main.layoutManager.primaryMonitor?.inFullscreen) {
+            return true;
+        }
+
+        if (this._config.hideMode === 'intellihide') {
+            return !!this._intellihide?.hasOverlappingWindows(this._panelBox, Main.layoutManager.primaryIndex);
+        }
+
+        return true;
+    }
+
+    _isPanelInUse() {
+
+        if (Main.panel.menuManager.activeMenu) {
+            return true;
+        }
+
+        const focusedActor = global.stage.get_key_focus();
+
+        if (focusedActor && this._panelBox.contains(focusedActor)) {
+            return true;
+        }
+
+        if (this._config.dockEnabled) {
+            return false;
+        }
+
+        // tooltips and window previews of app buttons
+        return Main.layoutManager.uiGroup.get_children().some(actor => APP_BUTTON_POPUPS.includes(actor.name));
+    }
+
+    _queueHide() {
+
+        if (this._isHidden || this._hideTimeout) {
+            return;
+        }
+
+        this._hideTimeout = Timeout.default(HIDE_DELAY).run(() => {
+
+            this._hideTimeout = null;
+
+            // the state could be changed in the meantime
+            if (this._panelBox.hover || !this._shouldHide()) {
+
+                // check again until menus and popups are closed
+                if (this._isPanelInUse()) {
+                    this._queueHide();
+                }
+
+                return;
+            }
+
+            this._hide();
+        });
+    }
+
+    _stopHide() {
+        this._hideTimeout?.destroy();
+        this._hideTimeout = null;
+    }
+
+    _show() {
+
+        if (!this._isHidden) {
+            return;
+        }
+
+        this._isHidden = false;
+
+        this._setTranslation(false, true);
+    }
+
+    _hide() {
+
+        if (this._isHidden) {
+            return;
+        }
+
+        this._isHidden = true;
+
+        this._setTranslation(true, true);
+    }
+
+    _setTranslation(hidden, animation) {
+
+        const translationY = (
+            !hidden ? 0 :
+            this._isOnBottom() ?
+            this._panelBox.height :
+            -this._panelBox.height
+        );
+
+        this._panelBox.remove_all_transitions();
+
+        if (!animation) {
+            this._panelBox.translation_y = translationY;
+            return;
+        }
+
+        this._panelBox.ease({
+            translation_y: translationY,
+            duration: ANIMATION_DURATION,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD
+        });
+    }
+
+    //#endregion visibility
+
+    //#region urgent notifications
+
+    _createSources() {
+
+        this._sources = new Map(); // source => connection id
+
+        const messageTraySources = Main.messageTray.getSources();
+
+        for (let i = 0, l = messageTraySources.length; i < l; ++i) {
+            this._addSource(messageTraySources[i]);
+        }
+    }
+
+    _addSource(source) {
+
+        if (this._sources.has(source)) {
+            return;
+        }
+
+        this._sources.set(source, source.connect('notification-show', (source, notification) => {
+            this._handleNotification(notification);
+        }));
+    }
+
+    _removeSource(source) {
+
+        if (!this._sources.has(source)) {
+            return;
+        }
+
+        source.disconnect(this._sources.get(source));
+
+        this._sources.delete(source);
+    }
+
+    _destroySources() {
+        this._sources.forEach((connectionId, source) => source.disconnect(connectionId));
+        this._sources = null;
+    }
+
+    _handleNotification(notification) {
+
+        if (!notification || notification.urgency < MessageTray.Urgency.HIGH) {
+            return;
+        }
+
+        this._urgentRevealTimeout?.destroy();
+
+        this._urgentRevealTimeout = Timeout.default(URGENT_REVEAL_DURATION).run(() => {
+            this._urgentRevealTimeout = null;
+            this._updateVisibility();
+        });
+
+        this._updateVisibility();
+    }
+
+    //#endregion urgent notifications
+
+    //#region pressure barrier
+
+    _updateBarrier() {
+
+        this._destroyBarrier();
+
+        const monitor = Main.layoutManager.primaryMonitor;
+
+        if (!monitor) {
+            return;
+        }
+
+        // the hidden panel is revealed by pressure in both modes
+        this._pressureBarrier = new PressureBarrier(
+            this._config.pressureThreshold,
+            PRESSURE_TIMEOUT,
+            Shell.ActionMode.NORMAL
+        );
+
+        this._pressureBarrier.connect('trigger', () => {
+            this._stopHide();
+            this._show();
+            // hide the panel again if the pointer doesn't move to it
+            this._updateVisibility();
+        });
+
+        // hot corners have their own barriers in the corners of the screen
+        const cornerSize = this._panelBox.height;
+
+        const [y, directions] = (
+            this._isOnBottom() ?
+            [monitor.y + monitor.height, Meta.BarrierDirection.NEGATIVE_Y] :
+            [monitor.y, Meta.BarrierDirection.POSITIVE_Y]
+        );
+
+        this._barrier = new Meta.Barrier({
+            display: global.display,
+            x1: monitor.x + cornerSize,
+            x2: monitor.x + monitor.width - cornerSize,
+            y1: y,
+            y2: y,
+            directions
+        });
+
+        this._pressureBarrier.addBarrier(this._barrier);
+    }
+
+    _destroyBarrier() {
+
+        if (this._barrier) {
+            this._pressureBarrier?.removeBarrier(this._barrier);
+            this._barrier.destroy();
+            this._barrier = null;
+        }
+
+        this._pressureBarrier?.destroy();
+        this._pressureBarrier = null;
+    }
+
+    //#endregion pressure barrier
+
+    //#endregion private methods
+
+}
\ No newline at end of file
@@ -14,6 +14,7 @@ import { WorkspaceSwitcherPopup } from 'resource:///org/gnome/shell/ui/workspace
 import { AppButtonMenu } from '../ui/appButtonMenu.js';
 import { SoundVolumeControl } from '../services/soundVolumeService.js';
 import { Connections } from '../utils/connections.js';
+import { PanelVisibility } from './panelVisibility.js';
 import { ScrollHandler } from '../utils/scrollHandler.js';
 import { Timeout } from '../utils/timeout.js';
 
@@ -61,6 +62,8 @@ export class ShellTweaks {
 
         this._destroySoundVolumeControl();
 
+        this._destroyPanelVisibility();
+
         this._restoreSwitcherPopupDelay();
 
         this._removeSwitcherPopupHandler();
@@ -78,6 +81,7 @@ export class ShellTweaks {
             'changed::overview-kill-dash',
             'changed::panel-scroll-action',
             'changed::panel-enable-middle-button',
+            'changed::panel-hide-mode',
             'changed::hotcorner-enable-in-fullscreen',
             'changed::activities-show-apps-button',
             'changed::overview-enable-empty-space-clicks',
@@ -121,6 +125,17 @@ export class ShellTweaks {
             this._removePanelMiddleButtonHandler();
         }
 
+        // the panel handles changes between the hide modes by itself
+        if (this._config.panelHideMode !== 'none') {
+
+            if (!this._panelVisibility) {
+                this._panelVisibility = new PanelVisibility(this._settings);
+            }
+
+        } else {
+            this._destroyPanelVisibility();
+        }
+
         if (this._config.enableFullscreenHotCorner) {
             this._enableFullscreenHotCorner();
         } else {
@@ -166,6 +181,7 @@ export class ShellTweaks {
             overviewKillDash: this._settings.get_boolean('overview-kill-dash'),
             panelScrollAction: this._settings.get_string('panel-scroll-action'),
             enablePanelMiddleButtonHandler: this._settings.get_boolean('panel-enable-middle-button'),
+            panelHideMode: this._settings.get_string('panel-hide-mode'),
             enableFullscreenHotCorner: this._settings.get_boolean('hotcorner-enable-in-fullscreen'),
             enableOverviewClickHandler: this._settings.get_boolean('overview-enable-empty-space-clicks'),
             activitiesShowAppsButton: this._settings.get_string('activities-show-apps-button'),
@@ -185,6 +201,11 @@ export class ShellTweaks {
         this._soundVolumeControl = null;
     }
 
+    _destroyPanelVisibility() {
+        this._panelVisibility?.destroy();
+        this._panelVisibility = null;
+    }
+
     //#region panel scroll handling
 
     _addPanelScrollHandler() {
@@ -3,28 +3,42 @@
 //#region imports
 
 import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Meta from 'gi://Meta';
+import Pango from 'gi://Pango';
 import Shell from 'gi://Shell';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
 import * as IconGrid from 'resource:///org/gnome/shell/ui/iconGrid.js';
+import * as Animation from 'resource:///org/gnome/shell/ui/animation.js';
 
 // custom modules import
 import { AppButtonIndicator } from './appButtonIndicator.js';
 import { AppButtonNotificationBadge } from './appButtonNotificationBadge.js';
 import { AppButtonMenu } from './appButtonMenu.js';
+import { AppButtonPreview } from './appButtonPreview.js';
+import { AppButtonProgress } from './appButtonProgress.js';
 import { AppButtonTooltip } from './appButtonTooltip.js';
+import { AppSpread } from './appSpread.js';
 import { DominantColorExtractor } from '../utils/dominantColorExtractor.js';
 import { NotificationHandler } from '../services/notificationService.js';
+import { LauncherEntryHandler } from '../services/launcherEntryService.js';
+import { LaunchHandler } from '../services/launchService.js';
 import { AppSoundVolumeControl } from '../services/soundVolumeService.js';
 import { Connections } from '../utils/connections.js';
+import { MouseBindings } from '../utils/mouseBindings.js';
+import { PositionProvider } from '../utils/positionProvider.js';
 import { ScrollHandler } from '../utils/scrollHandler.js';
 import { Timeout } from '../utils/timeout.js';
 
 //#endregion imports
 
+const LAUNCH_BOUNCE_HEIGHT = 4;
+const LAUNCH_SPINNER_SIZE = 16;
+const ATTENTION_WIGGLE_ANGLE = 8;
+
 class AppButtonConfigOverride {
 
     // appId => {...}
@@ -171,11 +185,24 @@ export const AppButton = GObject.registerClass(
         // appId => color
         static _dominantColorCache = {};
 
+        static getButtonId(appId, window) {
+
+            if (!window) {
+                return appId;
+            }
+
+            return `${appId}#${window.get_stable_sequence()}`;
+        }
+
+        static getAppId(buttonId) {
+            return buttonId?.split('#')[0] || null;
+        }
+
         //#endregion static
 
         //#region public methods
 
-        constructor({ app, isFavorite }, settings, iconProvider, stateHandler) {
+        constructor({ app, window, isFavorite, monitorIndex, taskbar }, settings, iconProvider, stateHandler) {
 
             // init the button
             super({
@@ -189,12 +216,27 @@ export const AppButton = GObject.registerClass(
             // set public properties
             this.app = app;
             this.appId = app?.id;
+            // a single window represented by the app button when windows are not grouped
+            this.window = window || null;
+            this.buttonId = AppButton.getButtonId(this.appId, this.window);
             this.isFavorite = isFavorite;
+            // display windows from the monitor only, -1 for all monitors
+            this.monitorIndex = monitorIndex ?? -1;
+            // the taskbar shares pinned apps helpers with menus of its app buttons
+            this.taskbar = taskbar || null;
+            // the taskbar is placed into a side panel
+            this.isVertical = false;
             this.isActive = false;
             this.activeWindow = null;
             this.windows = 0;
             this.notifications = 0;
+            // progress, urgency and quicklist provided via Unity Launcher API
+            this.launcherEntry = null;
+            // the app is starting after a click or a launch from outside the taskbar
+            this.isLaunching = false;
             this.dominantColor = null;
+            // a pinned app button or a folder to group with after dropping the app button
+            this.dropTarget = null;
             this.soundVolumeControl = null;
             this.configOverride = new AppButtonConfigOverride(this.appId, settings, () => this._handleSettings());
 
@@ -205,6 +247,12 @@ export const AppButton = GObject.registerClass(
             this._firstUpdateIconGeometry = true;
             this._lastFocusedWindow = null;
             this._stateHandler = stateHandler;
+            this._labelWindow = null; // the window which title is displayed in the label
+            this._labelWidthLimit = null;
+            this._paddingLimit = null;
+            this._launchFeedback = 'none';
+            this._attentionEffect = 'none';
+            this._attentionWindows = new Map(); // window => [connection ids]
 
             this._createLayout();
 
@@ -219,6 +267,12 @@ export const AppButton = GObject.registerClass(
                 count => this._setNotifications(count),
                 this._settings, this.appId
             );
+
+            // init launch handler
+            this._launchHandler = new LaunchHandler(
+                isLaunching => this._setLaunching(isLaunching),
+                this.appId
+            );
         }
 
         setParent(parent, position, animation) {
@@ -268,6 +322,203 @@ export const AppButton = GObject.registerClass(
             this._handleUrgentWindow(window);
         }
 
+        getWindows() {
+            return this._getAppWindows();
+        }
+
+        /*
+         * Activate the app the same way as a click does,
+         * used when no click event is available e.g. via D-Bus
+         */
+        activate() {
+
+            if (!this.app) {
+                return;
+            }
+
+            const isOverview = Main.overview.visible;
+
+            Main.overview.hide();
+
+            this._activateApp(isOverview);
+        }
+
+        openMenu() {
+
+            this._toggleTooltip(false);
+
+            this._menu?.open();
+
+            // allow to navigate through the menu using keyboard
+            this._menu?.actor.navigate_focus(null, St.DirectionType.TAB_FORWARD, false);
+        }
+
+        closeActiveWindow() {
+            this._closeFirstAppWindow();
+        }
+
+        setDropHighlight(highlight) {
+
+            if (highlight) {
+                this._appIcon.add_style_pseudo_class('drop');
+                return;
+            }
+
+            this._appIcon.remove_style_pseudo_class('drop');
+        }
+
+        setVertical(vertical) {
+
+            if (this.isVertical === vertical) {
+                return;
+            }
+
+            this.isVertical = vertical;
+
+            // fill the width of the side panel instead of the height of the panel
+            this._layout.x_expand = vertical;
+            this._layout.y_expand = !vertical;
+            this._layout.y_align = vertical ? Clutter.ActorAlign.CENTER : Clutter.ActorAlign.FILL;
+
+            this._updateStyle();
+
+            this._indicator?.updateStyle();
+        }
+
+        /*
+         * Current width of the label, 0 when there is no label
+         */
+        getLabelWidth() {
+
+            if (!this._label) {
+                return 0;
+            }
+
+            const [, naturalWidth] = this._label.clutter_text.get_preferred_width(-1);
+
+            return Math.min(naturalWidth, this._getLabelMaxWidth());
+        }
+
+        /*
+         * Shrink the label when the taskbar doesn't fit into the panel, null to reset
+         */
+        setLabelWidthLimit(width) {
+
+            if (this._labelWidthLimit === width) {
+                return;
+            }
+
+            this._labelWidthLimit = width;
+
+            this._updateLabelWidth();
+        }
+
+        /*
+         * Shrink horizontal paddings of the icon when the taskbar doesn't fit into the panel, null to reset
+         */
+        setPaddingLimit(padding) {
+
+            if (this._paddingLimit === padding) {
+                return;
+            }
+
+            this._paddingLimit = padding;
+
+            this._updateStyle();
+        }
+
+        /*
+         * Display the number of the hotkey to activate the app button, null to hide it
+         */
+        setHotkeyNumber(number) {
+
+            if (!number) {
+                this._hotkeyLabel?.destroy();
+                this._hotkeyLabel = null;
+                return;
+            }
+
+            if (!this._hotkeyLabel) {
+
+                this._hotkeyLabel = new St.Label({
+                    name: 'taskbar-appButton-hotkey',
+                    style_class: 'rocketbar__hotkey-number',
+                    x_expand: true,
+                    y_expand: true,
+                    x_align: Clutter.ActorAlign.START,
+                    y_align: Clutter.ActorAlign.START
+                });
+
+                this._layout.add_actor(this._hotkeyLabel);
+            }
+
+            this._hotkeyLabel.text = `${number}`;
+        }
+
+        cycleWindows(reverse) {
+
+            const windows = this._getAppWindows();
+
+            if (!windows.length) {
+                return false;
+            }
+
+            Main.overview.hide();
+
+            this._resetCycledWindows();
+
+            this._cycleAppWindows(windows, reverse);
+
+            return true;
+        }
+
+        /*
+         * Windows of the app from the active workspace or from all workspaces
+         */
+        getSpreadWindows() {
+
+            if (!this.app || this.app.state === Shell.AppState.STOPPED) {
+                return [];
+            }
+
+            return (
+                this._config.spreadAllWorkspaces ?
+                this._getMovableWindows().filter(window => !window.skip_taskbar) :
+                this._getAppWindows()
+            );
+        }
+
+        /*
+         * Display windows of the app side by side to pick one of them
+         */
+        showSpread() {
+            this._toggleSpread(true, this.getSpreadWindows());
+        }
+
+        /*
+         * window: optional window to move instead of all windows of the app button
+         */
+        moveWindowsToWorkspace(workspaceIndex, window = null) {
+
+            const windows = window ? [window] : this._getMovableWindows();
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+                windows[i].change_workspace_by_index(workspaceIndex, false);
+            }
+        }
+
+        /*
+         * window: optional window to move instead of all windows of the app button
+         */
+        moveWindowsToMonitor(monitorIndex, window = null) {
+
+            const windows = window ? [window] : this._getMovableWindows();
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+                windows[i].move_to_monitor(monitorIndex);
+            }
+        }
+
         getDragActor() {
             return this._createAppIconTexture(1.5);
         }
@@ -292,6 +543,21 @@ export const AppButton = GObject.registerClass(
 
             this.bind_property('hover', this._appIcon, 'hover', GObject.BindingFlags.SYNC_CREATE);
 
+            this._appIconContent = new St.BoxLayout({
+                name: 'taskbar-appButton-icon-content',
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER
+            });
+
+            this._appIconTexture = new St.Bin({
+                name: 'taskbar-appButton-icon-texture',
+                y_align: Clutter.ActorAlign.CENTER
+            });
+
+            this._appIconContent.add_actor(this._appIconTexture);
+
+            this._appIcon.set_child(this._appIconContent);
+
             this._layout = new Clutter.Actor({
                 name: 'taskbar-appButton-layout',
                 layout_manager: new Clutter.BinLayout(),
@@ -304,6 +570,75 @@ export const AppButton = GObject.registerClass(
             this.set_child(this._layout);
         }
 
+        _toggleLabel() {
+
+            const showLabel = (
+                this._config.labelMode === 'title' ||
+                this._config.labelMode === 'app_name' ||
+                // show titles of windows in the one button per window mode
+                (this._config.labelMode === 'ungrouped' && !!this.window)
+            );
+
+            if (!showLabel) {
+                this._label?.destroy();
+                this._label = null;
+                this._updateLabel();
+                return;
+            }
+
+            if (!this._label) {
+
+                this._label = new St.Label({
+                    name: 'taskbar-appButton-label',
+                    style_class: 'rocketbar__button-label',
+                    y_align: Clutter.ActorAlign.CENTER
+                });
+
+                this._label.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+
+                this._appIconContent.add_actor(this._label);
+            }
+
+            this._updateLabelWidth();
+
+            this._updateLabel();
+        }
+
+        _updateLabel() {
+
+            const labelWindow = (
+                this._label && this._config.labelMode !== 'app_name' ?
+                this.window || this.activeWindow :
+                null
+            );
+
+            // follow title changes of the displayed window only
+            if (labelWindow !== this._labelWindow && this._connections) {
+                this._connections.remove('notify::title');
+                this._connections.add(labelWindow, 'notify::title', () => this._updateLabel());
+                this._labelWindow = labelWindow;
+            }
+
+            if (!this._label) {
+                return;
+            }
+
+            this._label.text = labelWindow?.title || this.app.get_name();
+        }
+
+        _updateLabelWidth() {
+
+            if (!this._label) {
+                return;
+            }
+
+            this._label.style = `max-width: ${this._getLabelMaxWidth()}px;`;
+        }
+
+        _getLabelMaxWidth() {
+            return Math.min(this._config.labelMaxWidth, this._labelWidthLimit ?? Infinity);
+        }
+
         _createMenu() {
             this._createMenuTimeout = Timeout.low(300).run(() => {
 
@@ -319,6 +654,7 @@ export const AppButton = GObject.registerClass(
             this.connect('destroy', () => this._destroy());
             this.connect('key-focus-in', () => this._focus());
             this.connect('key-focus-out', () => this._focus());
+            this.connect('key-press-event', (actor, event) => this._keyPress(event));
             this.connect('notify::hover', () => this._hover());
             this.connect('button-press-event', () => this._buttonPress());
             this.connect('button-release-event', () => this._buttonRelease());
@@ -326,22 +662,35 @@ export const AppButton = GObject.registerClass(
             this._connections = new Connections();
             this._connections.add(global.display, 'notify::focus-window', () => this._handleFocusedWindow());
             this._connections.add(St.Settings.get(), 'notify::gtk-icon-theme', () => this._handleIconTheme(true));
+            if (this.window) {
+                this._connections.add(this.window, 'unmanaged', () => this._handleWindowUnmanaged());
+            }
             // handle settings
             this._connections.addScope(this._settings, [
                 'changed::taskbar-isolate-workspaces',
+                'changed::taskbar-sort-mode',
+                'changed::taskbar-mix-pinned-apps',
                 'changed::appbutton-enable-tooltips',
+                'changed::appbutton-enable-previews',
                 'changed::appbutton-enable-minimize-action',
                 'changed::appbutton-middle-button-sound-mute',
+                'changed::appbutton-spread-all-workspaces',
                 'changed::sound-volume-control-change-speed',
                 'changed::sound-volume-control-change-speed-ctrl'], () => this._setConfig());
             this._connections.addScope(this._settings, [
                 'changed::appbutton-running-app-activate-behavior',
                 'changed::appbutton-enable-indicators',
                 'changed::appbutton-enable-notification-badges',
+                'changed::appbutton-enable-launcher-entry',
                 'changed::appbutton-enable-sound-control',
                 'changed::appbutton-enable-drag-and-drop',
                 'changed::appbutton-enable-scroll',
                 'changed::appbutton-scroll-change-sound-volume',
+                'changed::appbutton-mouse-bindings',
+                'changed::appbutton-launch-feedback',
+                'changed::appbutton-attention-effect',
+                'changed::appbutton-label-mode',
+                'changed::appbutton-label-max-width',
                 'changed::appbutton-icon-size',
                 'changed::appbutton-icon-padding',
                 'changed::appbutton-icon-vertical-padding',
@@ -373,8 +722,18 @@ export const AppButton = GObject.registerClass(
                 this._updateDominantColor();
             }
 
+            // show the window title or the app name next to the icon
+            const hasLabel = !!this._label;
+
+            if (this._config.labelMode !== oldConfig.labelMode) {
+                this._toggleLabel();
+            } else if (this._config.labelMaxWidth !== oldConfig.labelMaxWidth) {
+                this._updateLabelWidth();
+            }
+
             // set style
             if ((hasOldConfig || !this.style) && (
+                hasLabel !== !!this._label ||
                 this._config.iconSize !== oldConfig.iconSize ||
                 this._config.iconPadding !== oldConfig.iconPadding ||
                 this._config.iconVerticalPadding !== oldConfig.iconVerticalPadding ||
@@ -393,6 +752,7 @@ export const AppButton = GObject.registerClass(
                 this._indicator = null;
             } else if (!this._indicator) {
                 this._indicator = new AppButtonIndicator(this, this._layout, this._settings);
+                this._indicator.setBlinking(this._attentionEffect === 'blink');
             }
 
             // enable/disable notification badge
@@ -405,6 +765,20 @@ export const AppButton = GObject.registerClass(
                 this._notificationBadge.updateConfig();
             }
 
+            // enable/disable progress, urgency and quicklists
+            if (!this._config.enableLauncherEntry) {
+                this._launcherEntryHandler?.destroy();
+                this._launcherEntryHandler = null;
+                this._progress?.destroy();
+                this._progress = null;
+            } else if (!this._launcherEntryHandler) {
+                this._progress = new AppButtonProgress(this, this._layout, this._settings);
+                this._launcherEntryHandler = new LauncherEntryHandler(
+                    entry => this._setLauncherEntry(entry),
+                    this.appId
+                );
+            }
+
             // enable/disable drag and drop
             if (!this._config.enableDragAndDrop && this._draggablePressHandler) {
 
@@ -444,8 +818,12 @@ export const AppButton = GObject.registerClass(
                 this.soundVolumeControl = new AppSoundVolumeControl(this.app);
             }
 
+            this._updateLaunchFeedback();
+
+            this._updateUrgency();
+
             // toggle scroll handler
-            if (!this._config.enableScrollHandler && !this._config.scrollToChangeSoundVolume) {
+            if (!this._hasScrollBindings()) {
                 this._scrollHandler?.destroy();
                 this._scrollHandler = null;
             } else if (!this._scrollHandler) {
@@ -458,9 +836,13 @@ export const AppButton = GObject.registerClass(
 
             this._config = {
                 isolateWorkspaces: this._settings.get_boolean('taskbar-isolate-workspaces'),
+                sortMode: this._settings.get_string('taskbar-sort-mode'),
+                mixPinnedApps: this._settings.get_boolean('taskbar-mix-pinned-apps'),
                 enableTooltips: this._settings.get_boolean('appbutton-enable-tooltips'),
+                enablePreviews: this._settings.get_boolean('appbutton-enable-previews'),
                 enableIndicators: this._settings.get_boolean('appbutton-enable-indicators'),
                 enableNotificationBadges: this._settings.get_boolean('appbutton-enable-notification-badges'),
+                enableLauncherEntry: this._settings.get_boolean('appbutton-enable-launcher-entry'),
                 enableDragAndDrop: this._settings.get_boolean('appbutton-enable-drag-and-drop'),
                 enableScrollHandler: this._settings.get_boolean('appbutton-enable-scroll'),
                 enableMinimizeAction: this._settings.get_boolean('appbutton-enable-minimize-action'),
@@ -468,8 +850,16 @@ export const AppButton = GObject.registerClass(
                 scrollToChangeSoundVolume: this._settings.get_boolean('appbutton-scroll-change-sound-volume'),
                 middleButtonToggleMute: this._settings.get_boolean('appbutton-middle-button-sound-mute'),
                 activateRunningBehavior: this._settings.get_string('appbutton-running-app-activate-behavior'),
+                spreadAllWorkspaces: this._settings.get_boolean('appbutton-spread-all-workspaces'),
+                // none, pulse, bounce or spinner
+                launchFeedback: this._settings.get_string('appbutton-launch-feedback'),
+                // none, pulse, wiggle, glow or blink
+                attentionEffect: this._settings.get_string('appbutton-attention-effect'),
                 soundVolumeStep: this._settings.get_int('sound-volume-control-change-speed'),
                 soundVolumeStepCtrl: this._settings.get_int('sound-volume-control-change-speed-ctrl'),
+                // ungrouped, none, title or app_name
+                labelMode: this._settings.get_string('appbutton-label-mode'),
+                labelMaxWidth: this._settings.get_int('appbutton-label-max-width'),
                 // visual customization settings
                 iconSize: this._settings.get_int('appbutton-icon-size'),
                 iconTextureSize: this._settings.get_int('appbutton-icon-size'),
@@ -487,6 +877,8 @@ export const AppButton = GObject.registerClass(
                 customIconPath: null
             };
 
+            this._config.mouseBindings = this._getMouseBindings();
+
             // parse backlight color
             if (this._config.backlightColor) {
                 const colorValues = this._config.backlightColor.replace('rgb(', '')
@@ -503,6 +895,15 @@ export const AppButton = GObject.registerClass(
             this.configOverride.apply(this._config);
         }
 
+        _handleWindowUnmanaged() {
+
+            this.window = null;
+
+            this._triggerState('window-unmanaged');
+
+            this._handleAppState();
+        }
+
         _parentDestroy() {
             // destroy static variables when taskbar is destroying
             this.configOverride?.destroy();
@@ -529,6 +930,8 @@ export const AppButton = GObject.registerClass(
             // remove app information
             this.app = null;
             this.appId = null;
+            this.window = null;
+            this.taskbar = null;
             this.configOverride = null;
 
             // destroy context menu
@@ -548,14 +951,46 @@ export const AppButton = GObject.registerClass(
             this._tooltip?.destroy();
             this._tooltip = null;
 
+            // destroy window previews if exist
+            this._preview?.destroy();
+            this._preview = null;
+
+            this._toggleSpread(false);
+
             // destroy drag & drop functionality
             this._draggable = null;
+            this.dropTarget = null;
             this._dragEnd();
 
             // destroy notification handler
             this._notificationHandler?.destroy();
             this._notificationHandler = null;
 
+            // destroy launcher entry handler
+            this._launcherEntryHandler?.destroy();
+            this._launcherEntryHandler = null;
+
+            // destroy launch handler
+            this._launchHandler?.destroy();
+            this._launchHandler = null;
+
+            this._untrackAttentionWindows();
+
+            this._attentionGlow?.destroy();
+            this._attentionGlow = null;
+
+            this._launchSpinner?.destroy();
+            this._launchSpinner = null;
+
+            // destroy progress bar
+            this._progress?.destroy();
+            this._progress = null;
+
+            // the hotkey number and the label are destroyed together with the layout
+            this._hotkeyLabel = null;
+            this._label = null;
+            this._labelWindow = null;
+
             // destroy sound control
             this.soundVolumeControl?.destroy();
             this.soundVolumeControl = null;
@@ -565,6 +1000,16 @@ export const AppButton = GObject.registerClass(
             this._scrollHandler = null;
         }
 
+        _getMovableWindows() {
+
+            // a button of the one button per window mode moves its window only
+            if (this.window) {
+                return [this.window];
+            }
+
+            return this.app?.get_windows() || [];
+        }
+
         //#region drag & drop
 
         _dragBegin() {
@@ -595,20 +1040,40 @@ export const AppButton = GObject.registerClass(
 
             const [x, y] = parent.get_transformed_position();
 
+            // app buttons are reordered along the orientation of the taskbar
+            const [
+                eventPosition, parentPosition, size,
+                eventCrossPosition, parentCrossPosition, parentCrossSize
+            ] = (
+                this.isVertical ?
+                [event.y, y, this.height, event.x, x, parent.width] :
+                [event.x, x, this.width, event.y, y, parent.height]
+            );
+
+            const isOutOfTaskbar = (
+                eventCrossPosition > (parentCrossPosition + parentCrossSize) ||
+                eventCrossPosition < parentCrossPosition
+            );
+
+            // pinned apps can be dropped onto each other to create folders
+            if (this._setDropTarget(this.isFavorite && !isOutOfTaskbar ? this._getGroupTarget(parent, eventPosition) : null)) {
+                return DND.DragMotionResult.CONTINUE;
+            }
+
             // when in overview mode
             // alow to reorder app buttons only when hovering the taskbar
-            if (isOverview && (event.y > (y + parent.height) || event.y < y)) {
+            if (isOverview && isOutOfTaskbar) {
                 return DND.DragMotionResult.CONTINUE;
             }
 
-            const dragPosition = event.x - x;
+            const dragPosition = eventPosition - parentPosition;
 
-            let dragIndex = Math.round(dragPosition / this.width);
+            let dragIndex = Math.round(dragPosition / size);
 
             dragIndex = Math.min(Math.max(dragIndex, 0), parent.get_n_children() - 1);
 
             // makes dragging less aggressive
-            if (dragPosition < dragIndex * this.width) {
+            if (dragPosition < dragIndex * size) {
                 return DND.DragMotionResult.CONTINUE;
             }
 
@@ -618,13 +1083,14 @@ export const AppButton = GObject.registerClass(
                 return DND.DragMotionResult.CONTINUE;
             }
 
-            // works only for app buttons
-            if (!(actorAtIndex instanceof AppButton)) {
+            // works only for app buttons and folders
+            if (!(actorAtIndex instanceof AppButton) && !actorAtIndex.group) {
                 return DND.DragMotionResult.CONTINUE;
             }
 
             // don't allow to drop favorites over running apps and vice versa
-            if (this.isFavorite !== actorAtIndex.isFavorite) {
+            // unless they share the same order
+            if (this.isFavorite !== actorAtIndex.isFavorite && !this._config.mixPinnedApps) {
                 return DND.DragMotionResult.CONTINUE;
             }
 
@@ -636,8 +1102,56 @@ export const AppButton = GObject.registerClass(
             return DND.DragMotionResult.CONTINUE;
         }
 
+        _getGroupTarget(parent, eventPosition) {
+
+            const layoutActors = parent.get_children();
+
+            for (let i = 0, l = layoutActors.length; i < l; ++i) {
+
+                const actor = layoutActors[i];
+
+                if (actor === this || !actor.isFavorite || actor.appId === this.appId ||
+                        !(actor instanceof AppButton || actor.group)) {
+                    continue;
+                }
+
+                const [actorX, actorY] = actor.get_transformed_position();
+
+                const [actorPosition, actorSize] = (
+                    this.isVertical ?
+                    [actorY, actor.height] :
+                    [actorX, actor.width]
+                );
+
+                // the center of the app button is used to drop onto it
+                // edges are used to reorder app buttons
+                if (eventPosition > actorPosition + actorSize * 0.25 && eventPosition < actorPosition + actorSize * 0.75) {
+                    return actor;
+                }
+            }
+
+            return null;
+        }
+
+        _setDropTarget(dropTarget) {
+
+            if (this.dropTarget === dropTarget) {
+                return !!dropTarget;
+            }
+
+            this.dropTarget?.setDropHighlight(false);
+
+            this.dropTarget = dropTarget;
+
+            this.dropTarget?.setDropHighlight(true);
+
+            return !!dropTarget;
+        }
+
         _dragEnd() {
 
+            this.dropTarget?.setDropHighlight(false);
+
             if (!this._dragMonitor) {
                 return;
             }
@@ -674,46 +1188,22 @@ export const AppButton = GObject.registerClass(
                 null
             );
 
-            // handle secondary button clicks to show the context menu
-            if (button === Clutter.BUTTON_SECONDARY) {
-                this._menu?.open();
-                return;
-            }
-
-            const isMiddleButton = button === Clutter.BUTTON_MIDDLE;
-
-            // check if toggle sound mute action is required and possible
-            if (isMiddleButton &&
-                    this._config.middleButtonToggleMute && this.soundVolumeControl) {
-                this.soundVolumeControl.toggleOutputMute();
-                return;
-            }
-
-            const isOverview = Main.overview.visible;
-            const isCtrlPressed = (event.get_state() & Clutter.ModifierType.CONTROL_MASK) != 0;
-
-            // hide gnome shell overview
-            if (!isCtrlPressed && !isMiddleButton) {
-                Main.overview.hide();
-            }
+            const trigger = (
+                button === Clutter.BUTTON_SECONDARY ? 'right' :
+                button === Clutter.BUTTON_MIDDLE ? 'middle' :
+                'left'
+            );
 
-            // close opened windows
-            if (isCtrlPressed && isMiddleButton) {
-                this._closeFirstAppWindow();
-                return;
-            }
+            const modifierState = event.get_state();
 
-            const openNewWindow = (
-                this.app.can_open_new_window() &&
-                this.app.state === Shell.AppState.RUNNING &&
-                (isCtrlPressed || isMiddleButton)
+            this._runMouseAction(
+                this._getMouseAction(trigger, modifierState),
+                trigger,
+                (modifierState & Clutter.ModifierType.CONTROL_MASK) != 0
             );
+        }
 
-            // app is running and we want to open a new window for it
-            if (openNewWindow) {
-                this._openNewAppWindow();
-                return;
-            }
+        _activateApp(isOverview) {
 
             const windows = this._getAppWindows();
 
@@ -725,73 +1215,153 @@ export const AppButton = GObject.registerClass(
 
                 // when app is not running at all
                 if (this.app.state !== Shell.AppState.RUNNING) {
+                    this._launchHandler?.launch(this.app);
                     this.app.activate();
                     return;
                 }
 
                 // when a favorited app is running, but no windows on the current workspace
+                this._activateRunningApp();
 
-                if (!this._config.isolateWorkspaces ||
-                        this._config.activateRunningBehavior !== 'move_windows') {
+                return;
+            }
 
-                    this.app.open_new_window(-1);
+            // activate/minimize a single window
+            // or activate the first window when gnome shell overview is shown
+            if (windows.length === 1 || isOverview) {
 
-                } else {
+                const window = windows[0];
+                
+                if (window.minimized || !window.has_focus() || isOverview) {
 
-                    // move all app windows to the current workspace
-    
-                    const appWindows = this.app.get_windows();
-
-                    // if something goes wrong with the app
-                    if (!appWindows?.length) {
-                        return;
-                    }
+                    Main.activateWindow(window);
 
-                    const workspaceIndex = global.workspace_manager.get_active_workspace();
+                    this._addCycledWindow(window);
 
-                    appWindows.forEach(window => {
-                        window.change_workspace(workspaceIndex);
-                    });
+                    return;
+                }
 
-                    // now we have windows on the workpace to activate the first one
-                    Main.activateWindow(appWindows[0]);
+                // minimize the window if it's active and has focus
+                // and when minimize action is not disabled
+                if (this._config.enableMinimizeAction) {
+                    window.minimize();
                 }
 
                 return;
+
             }
 
-            // activate/minimize a single window
-            // or activate the first window when gnome shell overview is shown
-            if (windows.length === 1 || isOverview) {
+            switch (this._config.activateRunningBehavior) {
 
-                const window = windows[0];
-                
-                if (window.minimized || !window.has_focus() || isOverview) {
+                case 'show_previews':
+                    this._togglePreview(true, true);
+                    return;
 
-                    Main.activateWindow(window);
+                case 'spread':
+                    this.showSpread();
+                    return;
 
-                    this._addCycledWindow(window);
+                case 'raise_all':
+                    this._raiseAppWindows(windows);
+                    return;
+
+            }
+
+            this._cycleAppWindows(windows);
+        }
+
+        _activateRunningApp() {
+
+            // windows of the app are on other workspaces or monitors
+            const windows = this._getMovableWindows();
+
+            if (!windows.length) {
+                this._launchHandler?.launch(this.app);
+                this.app.open_new_window(-1);
+                return;
+            }
+
+            // the spread can display windows of other workspaces
+            if (this._config.activateRunningBehavior === 'spread' && this._config.spreadAllWorkspaces) {
+                this.showSpread();
+                return;
+            }
+
+            switch (this._config.activateRunningBehavior) {
+
+                case 'move_windows':
+
+                    if (!this._config.isolateWorkspaces) {
+                        break;
+                    }
 
+                    this._moveWindowsToActiveWorkspace(false);
                     return;
-                }
 
-                // minimize the window if it's active and has focus
-                // and when minimize action is not disabled
-                if (this._config.enableMinimizeAction) {
-                    window.minimize();
+                case 'switch_to_workspace':
+                case 'show_previews':
+                case 'spread':
+                case 'raise_all':
+                    // the most recent window of the app
+                    Main.activateWindow(windows[0]);
+                    return;
+
+            }
+
+            this._launchHandler?.launch(this.app);
+
+            this.app.open_new_window(-1);
+        }
+
+        _raiseAppWindows(windows) {
+
+            // keep the stacking order of the windows
+            const sortedWindows = global.display.sort_windows_by_stacking(windows);
+
+            for (let i = 0, l = sortedWindows.length; i < l; ++i) {
+
+                if (sortedWindows[i].minimized) {
+                    sortedWindows[i].unminimize();
                 }
 
+                sortedWindows[i].raise();
+            }
+
+            // the most recent window gets the focus
+            Main.activateWindow(windows[0]);
+
+            this._resetCycledWindows();
+        }
+
+        _toggleSpread(show, windows) {
+
+            if (!show) {
+                this._spread?.destroy();
+                this._spread = null;
                 return;
+            }
 
+            if (this._spread || !windows?.length) {
+                return;
             }
 
-            this._cycleAppWindows(windows);
+            this._toggleTooltip(false);
+
+            Main.overview.hide();
+
+            this._spread = new AppSpread(
+                windows,
+                Main.layoutManager.findIndexForActor(this),
+                () => this._spread = null
+            );
         }
 
         _openNewAppWindow() {
 
             IconGrid.zoomOutActor(this._appIcon);
 
+            this._launchHandler?.launch(this.app);
+
             this.app.open_new_window(-1);
 
             this._resetCycledWindows();
@@ -806,50 +1376,252 @@ export const AppButton = GObject.registerClass(
 
         _handleScroll(params) {
 
-            const [scrollDirection, isCtrlPressed] = params;
+            const [scrollDirection, isCtrlPressed, modifierState] = params;
 
-            // change sound volume if it's required and possible
-            if (this._config.scrollToChangeSoundVolume && this.soundVolumeControl) {
+            const trigger = scrollDirection === Clutter.ScrollDirection.UP ? 'scroll_up' : 'scroll_down';
+            const value = this._getMouseAction(trigger, modifierState);
 
-                const soundVolumeStep = (
-                    isCtrlPressed ?
-                    this._config.soundVolumeStepCtrl :
-                    this._config.soundVolumeStep
-                );
+            // make scrolling less aggressive, the sound volume changes smoothly
+            if (MouseBindings.parseAction(value).action !== 'change_volume') {
 
-                this.soundVolumeControl.addOutputVolume(
-                    scrollDirection === Clutter.ScrollDirection.UP ?
-                    soundVolumeStep :
-                    -soundVolumeStep
-                );
+                if (this._handleScrollTimeout) {
+                    return Clutter.EVENT_STOP;
+                }
+
+                this._handleScrollTimeout = Timeout.default(300).run(() => {
+                    this._handleScrollTimeout = null;
+                });
+            }
+
+            this._runMouseAction(value, trigger, isCtrlPressed);
+
+            return Clutter.EVENT_STOP;
+        }
+
+        //#region mouse bindings
 
-                // update tooltip if it's shown
-                this._tooltip?.rerender();
+        _getMouseBindings() {
 
-                return Clutter.EVENT_STOP;
+            const scrollAction = (
+                this._config.enableSoundControl && this._config.scrollToChangeSoundVolume ? 'change_volume' :
+                this._config.enableScrollHandler ? 'cycle_windows' :
+                'none'
+            );
+
+            // middle click toggles mute with or without Ctrl
+            const middleButtonToggleMute = this._config.enableSoundControl && this._config.middleButtonToggleMute;
+
+            // the defaults follow the older options of app buttons
+            return {
+                'left': 'activate',
+                'ctrl+left': 'new_window',
+                'middle': middleButtonToggleMute ? 'toggle_mute' : 'new_window',
+                'ctrl+middle': middleButtonToggleMute ? 'toggle_mute' : 'close_window',
+                'right': 'menu',
+                'scroll_up': scrollAction,
+                'scroll_down': scrollAction,
+                ...MouseBindings.load(this._settings)
+            };
+        }
+
+        _hasScrollBindings() {
+
+            for (const key in this._config.mouseBindings) {
+                if (key.includes('scroll_') && this._config.mouseBindings[key] !== 'none') {
+                    return true;
+                }
             }
 
-            // when app is not running
-            if (!this.windows || this._handleScrollTimeout) {
-                return Clutter.EVENT_STOP;
+            return false;
+        }
+
+        _getMouseAction(trigger, modifierState) {
+
+            let modifiers = [];
+
+            if (modifierState & Clutter.ModifierType.CONTROL_MASK) {
+                modifiers.push('ctrl');
             }
 
-            // make scrolling less aggressive
-            this._handleScrollTimeout = Timeout.default(300).run(() => {
-                this._handleScrollTimeout = null;
-            });
+            if (modifierState & Clutter.ModifierType.SHIFT_MASK) {
+                modifiers.push('shift');
+            }
+
+            if (modifierState & Clutter.ModifierType.MOD1_MASK) {
+                modifiers.push('alt');
+            }
+
+            const bindings = this._config.mouseBindings;
+
+            // unbound Shift and Alt don't change the action of Ctrl + button
+            // other unbound modifiers don't change the action of the button
+            return (
+                bindings[MouseBindings.getKey(trigger, modifiers)] ||
+                (modifiers.includes('ctrl') ? bindings[MouseBindings.getKey(trigger, ['ctrl'])] : null) ||
+                bindings[trigger] ||
+                'none'
+            );
+        }
+
+        _runMouseAction(value, trigger, isCtrlPressed) {
+
+            const { action, command } = MouseBindings.parseAction(value);
+            const isOverview = Main.overview.visible;
+
+            switch (action) {
+
+                case 'activate':
+                    Main.overview.hide();
+                    this._activateApp(isOverview);
+                    break;
+
+                case 'cycle_windows':
+                    this.cycleWindows(trigger === 'scroll_up');
+                    break;
+
+                // the overview stays open to open several windows
+                case 'new_window':
+
+                    // app is running and we want to open a new window for it
+                    if (this.app.can_open_new_window() && this.app.state === Shell.AppState.RUNNING) {
+                        this._openNewAppWindow();
+                        break;
+                    }
+
+                    this._activateApp(isOverview);
+                    break;
+
+                case 'close_window':
+                    this._closeFirstAppWindow();
+                    break;
+
+                case 'close_all':
+                    this._closeAllAppWindows();
+                    break;
+
+                case 'minimize_all':
+                    this._minimizeAllAppWindows();
+                    break;
+
+                case 'show_previews':
+                    if (this.windows) {
+                        this._togglePreview(true, true);
+                    }
+                    break;
+
+                case 'spread':
+                    this.showSpread();
+                    break;
+
+                case 'toggle_mute':
+
+                    // open a new window when the app doesn't play any sound
+                    if (!this.soundVolumeControl) {
+                        this._runMouseAction('new_window', trigger, isCtrlPressed);
+                        break;
+                    }
+
+                    this.soundVolumeControl.toggleOutputMute();
+                    break;
+
+                case 'change_volume':
+                    this._changeSoundVolume(trigger, isCtrlPressed);
+                    break;
+
+                case 'move_to_workspace':
+                    this._moveWindowsToActiveWorkspace(isOverview);
+                    break;
 
-            if (Main.overview.visible) {
-                Main.overview.hide();
+                case 'menu':
+                    this._menu?.open();
+                    break;
+
+                case 'launch_command':
+                    this._launchCommand(command);
+                    break;
+
+            }
+        }
+
+        _changeSoundVolume(trigger, isCtrlPressed) {
+
+            // the volume is changed by scrolling only
+            if (!this.soundVolumeControl || !trigger.startsWith('scroll')) {
+                return;
+            }
+
+            const soundVolumeStep = (
+                isCtrlPressed ?
+                this._config.soundVolumeStepCtrl :
+                this._config.soundVolumeStep
+            );
+
+            this.soundVolumeControl.addOutputVolume(
+                trigger === 'scroll_up' ?
+                soundVolumeStep :
+                -soundVolumeStep
+            );
+
+            // update tooltip if it's shown
+            this._tooltip?.rerender();
+        }
+
+        _closeAllAppWindows() {
+
+            const windows = this._getAppWindows();
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+                windows[i].delete(global.get_current_time());
+            }
+
+            this._resetCycledWindows();
+        }
+
+        _minimizeAllAppWindows() {
+
+            const windows = this._getAppWindows();
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+                if (windows[i].can_minimize()) {
+                    windows[i].minimize();
+                }
             }
 
             this._resetCycledWindows();
+        }
 
-            this._cycleAppWindows(this._getAppWindows(), scrollDirection === Clutter.ScrollDirection.UP);
+        _moveWindowsToActiveWorkspace(isOverview) {
 
-            return Clutter.EVENT_STOP;
+            const windows = this._getMovableWindows();
+
+            Main.overview.hide();
+
+            // nothing to move when the app is not running
+            if (!windows.length) {
+                this._activateApp(isOverview);
+                return;
+            }
+
+            this.moveWindowsToWorkspace(global.workspace_manager.get_active_workspace_index());
+
+            Main.activateWindow(windows[0]);
+        }
+
+        _launchCommand(command) {
+
+            if (!command) {
+                return;
+            }
+
+            try {
+                GLib.spawn_command_line_async(command.replaceAll('{app_id}', this.appId || ''));
+            } catch (e) {
+                Main.notifyError(_('Failed to launch the command'), e.message);
+            }
         }
 
+        //#endregion mouse bindings
+
         _cycleAppWindows(windows, reverse) {
 
             if (!windows || !windows.length) {
@@ -927,7 +1699,9 @@ export const AppButton = GObject.registerClass(
             const windows = this._getAppWindows();
 
             // self destroy :)
-            if (!this.isFavorite && !windows.length) {
+            // window buttons are destroyed even for favorite apps
+            // temporary buttons of starting apps stay until the launch is over
+            if ((!this.isFavorite || this.buttonId !== this.appId) && !windows.length && !this.isLaunching) {
                 this.destroy();
                 return;
             }
@@ -942,6 +1716,11 @@ export const AppButton = GObject.registerClass(
             // rerender tooltip
             this._tooltip?.rerender();
 
+            // rerender window previews
+            this._preview?.rerender();
+
+            this._updateLabel();
+
             // update active state
             if (this.isActive !== this._hasFocusedWindow) {
 
@@ -952,6 +1731,10 @@ export const AppButton = GObject.registerClass(
 
             this._indicator?.rerender();
 
+            this._progress?.rerender();
+
+            this._updateUrgency();
+
             if (this.isActive) {
                 this._triggerState('active');
 
@@ -986,14 +1769,14 @@ export const AppButton = GObject.registerClass(
 
         _updateIcon() {
 
-            const oldIcon = this._appIcon.get_child();
+            const oldIcon = this._appIconTexture.get_child();
             
             // make sure that the child is destroyed
             if (oldIcon) {
                 oldIcon.destroy();
             }
 
-            this._appIcon.set_child(this._createAppIconTexture());
+            this._appIconTexture.set_child(this._createAppIconTexture());
 
             this._updateDominantColor();
         }
@@ -1002,7 +1785,8 @@ export const AppButton = GObject.registerClass(
 
             if (this.dominantColor || (
                 !this._config.backlightDominantColor &&
-                !this._config.indicatorDominantColor
+                !this._config.indicatorDominantColor &&
+                this._config.attentionEffect !== 'glow'
             )) {
                 return;
             }
@@ -1011,7 +1795,7 @@ export const AppButton = GObject.registerClass(
 
             if (!this.dominantColor) {
 
-                this.dominantColor = new DominantColorExtractor(this._iconProvider, this._appIcon.get_child()).getColor();
+                this.dominantColor = new DominantColorExtractor(this._iconProvider, this._appIconTexture.get_child()).getColor();
 
                 AppButton._dominantColorCache[this.appId] = this.dominantColor;
             }
@@ -1019,6 +1803,13 @@ export const AppButton = GObject.registerClass(
             this._updateStyle();
 
             this._indicator?.updateStyle();
+
+            this._progress?.rerender();
+
+            // the glow could be created before the dominant color was extracted
+            if (this._attentionEffect === 'glow') {
+                this._updateAttentionGlow();
+            }
         }
 
         _createAppIconTexture(scale) {
@@ -1050,12 +1841,22 @@ export const AppButton = GObject.registerClass(
 
         _updateStyle() {
 
-            this.style = `margin-left: ${this._config.spacing}px; margin-right: ${this._config.spacing}px;`;
+            this.style = (
+                this.isVertical ?
+                `margin-top: ${this._config.spacing}px; margin-bottom: ${this._config.spacing}px;` :
+                `margin-left: ${this._config.spacing}px; margin-right: ${this._config.spacing}px;`
+            );
+
+            const iconPadding = Math.min(this._config.iconPadding, this._paddingLimit ?? Infinity);
 
             this._appIcon.style = (
+                this._label ?
+                // the width depends on the label so use paddings only
+                `padding-left: ${iconPadding}px; padding-right: ${iconPadding}px;` :
                 // set width as sum of icon size and paddings to give extra space for the icon inside
                 // we need the space to allow tuning of the icon size for each application
-                `width: ${this._config.iconSize + this._config.iconPadding * 2}px;` +
+                `width: ${this._config.iconSize + iconPadding * 2}px;`
+            ) + (
                 `height: ${this._config.iconSize + this._config.iconVerticalPadding * 2}px;` +
                 `border-radius: ${this._config.roundness}px;`
             );
@@ -1184,8 +1985,11 @@ export const AppButton = GObject.registerClass(
 
             rect.x += width / 2;
 
+            // the button can be placed on a secondary monitor
+            const monitor = Main.layoutManager.findMonitorForActor(this);
+
             // when buttons on the top
-            if (rect.y < 100) {
+            if (rect.y - (monitor?.y ?? 0) < 100) {
                 rect.y += height;
             }
 
@@ -1207,8 +2011,13 @@ export const AppButton = GObject.registerClass(
                 return result;
             }
 
+            // the window has been closed
+            if (this.buttonId !== this.appId && !this.window) {
+                return result;
+            }
+
             const workspaceIndex = global.workspace_manager.get_active_workspace_index();
-            const appWindows = this.app.get_windows();
+            const appWindows = this.window ? [this.window] : this.app.get_windows();
 
             if (!appWindows.length) {
                 return result;
@@ -1219,7 +2028,8 @@ export const AppButton = GObject.registerClass(
                 const appWindow = appWindows[i];
 
                 if ((this._config.isolateWorkspaces && appWindow.get_workspace().index() !== workspaceIndex) ||
-                        appWindow.skip_taskbar) {
+                        (this.monitorIndex >= 0 && appWindow.get_monitor() !== this.monitorIndex) ||
+                            appWindow.skip_taskbar) {
                     continue;
                 }
 
@@ -1237,8 +2047,7 @@ export const AppButton = GObject.registerClass(
 
         _handleUrgentWindow(window) {
 
-            // make only active apps handle urgent windows
-            if (!window || window.has_focus() || !this.isActive) {
+            if (!window || window.has_focus()) {
                 return;
             }
 
@@ -1249,8 +2058,55 @@ export const AppButton = GObject.registerClass(
                 return;
             }
 
-            // set focus on urgent windows of this app
-            Main.activateWindow(window);
+            // window buttons handle their own windows only
+            if (this.window && this.window !== window) {
+                return;
+            }
+
+            // set focus on urgent windows of active apps
+            if (this.isActive) {
+                Main.activateWindow(window);
+                return;
+            }
+
+            // draw attention to inactive apps until the window is focused
+            this._trackAttentionWindow(window);
+
+            this._updateUrgency();
+        }
+
+        _trackAttentionWindow(window) {
+
+            if (this._attentionWindows.has(window)) {
+                return;
+            }
+
+            // windows could stop demanding attention without being focused
+            this._attentionWindows.set(window, [
+                window.connect('notify::demands-attention', () => this._updateUrgency()),
+                window.connect('notify::urgent', () => this._updateUrgency()),
+                window.connect('unmanaged', () => {
+                    this._untrackAttentionWindow(window);
+                    this._updateUrgency();
+                })
+            ]);
+        }
+
+        _untrackAttentionWindow(window) {
+
+            const connectionIds = this._attentionWindows.get(window);
+
+            if (!connectionIds) {
+                return;
+            }
+
+            connectionIds.forEach(connectionId => window.disconnect(connectionId));
+
+            this._attentionWindows.delete(window);
+        }
+
+        _untrackAttentionWindows() {
+            [...this._attentionWindows.keys()].forEach(window => this._untrackAttentionWindow(window));
         }
 
         _focus() {
@@ -1275,6 +2131,47 @@ export const AppButton = GObject.registerClass(
             this._appIcon.remove_style_pseudo_class('focus');
         }
 
+        _keyPress(event) {
+
+            // Enter and Space are handled by the button the same way as clicks
+            switch (event.get_key_symbol()) {
+
+                case Clutter.KEY_Left:
+                case Clutter.KEY_Up:
+                    this._triggerState('focus-previous');
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_Right:
+                case Clutter.KEY_Down:
+                    this._triggerState('focus-next');
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_Escape:
+                    this._triggerState('focus-return');
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_Menu:
+                    this.openMenu();
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_F10:
+
+                    if (!(event.get_state() & Clutter.ModifierType.SHIFT_MASK)) {
+                        break;
+                    }
+
+                    this.openMenu();
+
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_Delete:
+                    this.closeActiveWindow();
+                    return Clutter.EVENT_STOP;
+            }
+
+            return Clutter.EVENT_PROPAGATE;
+        }
+
         _hover() {
 
             this._toggleTooltip(this.hover);
@@ -1291,7 +2188,7 @@ export const AppButton = GObject.registerClass(
 
         _buttonPress() {
 
-            const appIconTexture = this._appIcon.get_child();
+            const appIconTexture = this._appIconTexture.get_child();
 
             appIconTexture?.set_pivot_point(0.5, 0.5);
 
@@ -1306,7 +2203,7 @@ export const AppButton = GObject.registerClass(
 
         _buttonRelease() {
 
-            this._appIcon.get_child()?.ease({
+            this._appIconTexture.get_child()?.ease({
                 scale_x: 1,
                 scale_y: 1,
                 duration: 100
@@ -1336,6 +2233,16 @@ export const AppButton = GObject.registerClass(
 
         _toggleTooltip(show) {
 
+            // window previews replace the tooltip for running apps
+            if (show && this._config.enablePreviews && this.windows) {
+                this._togglePreview(true);
+                return;
+            }
+
+            if (!show) {
+                this._togglePreview(false);
+            }
+
             if (!this._config.enableTooltips) {
                 return;
             }
@@ -1354,6 +2261,28 @@ export const AppButton = GObject.registerClass(
             this._tooltip = null;
         }
 
+        /*
+         * immediate: skip the tooltip delay when previews are opened by a click
+         */
+        _togglePreview(show, immediate = false) {
+
+            if (!show) {
+                // previews stay visible while hovered
+                this._preview?.hide();
+                return;
+            }
+
+            if (this._preview) {
+                this._preview.show(immediate);
+                return;
+            }
+
+            this._tooltip?.destroy();
+            this._tooltip = null;
+
+            this._preview = new AppButtonPreview(this, this._settings, () => this._preview = null, immediate);
+        }
+
         _setNotifications(count) {
 
             if (this.notifications === count) {
@@ -1367,6 +2296,247 @@ export const AppButton = GObject.registerClass(
             this._tooltip?.rerender();
         }
 
+        _setLauncherEntry(entry) {
+
+            this.launcherEntry = entry;
+
+            this._progress?.rerender();
+
+            this._updateUrgency();
+        }
+
+        _setLaunching(isLaunching) {
+
+            // new windows are not represented by buttons of other windows
+            if (this.window || this.isLaunching === isLaunching) {
+                return;
+            }
+
+            this.isLaunching = isLaunching;
+
+            this._updateLaunchFeedback();
+
+            // a temporary button is destroyed when the app fails to start
+            if (!isLaunching && this._isValid()) {
+                this._handleAppState();
+            }
+        }
+
+        _updateLaunchFeedback() {
+
+            const launchFeedback = this.isLaunching ? this._config.launchFeedback : 'none';
+
+            if (this._launchFeedback === launchFeedback) {
+                return;
+            }
+
+            this._launchFeedback = launchFeedback;
+
+            // reset the previous feedback
+            this._appIconTexture.remove_transition('opacity');
+            this._appIconTexture.remove_transition('translation-y');
+            this._appIconTexture.opacity = 255;
+            this._appIconTexture.translation_y = 0;
+
+            this._launchSpinner?.destroy();
+            this._launchSpinner = null;
+
+            switch (launchFeedback) {
+
+                case 'pulse':
+                    this._appIconTexture.ease({
+                        opacity: 100,
+                        duration: 600,
+                        mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+                        autoReverse: true,
+                        repeatCount: -1
+                    });
+                    break;
+
+                case 'bounce': {
+
+                    const isTop = PositionProvider.getMonitorSide(this) === St.Side.TOP;
+
+                    // bounce away from the screen edge
+                    this._appIconTexture.ease({
+                        translation_y: isTop ? LAUNCH_BOUNCE_HEIGHT : -LAUNCH_BOUNCE_HEIGHT,
+                        duration: 300,
+                        mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                        autoReverse: true,
+                        repeatCount: -1
+                    });
+                    break;
+                }
+
+                case 'spinner':
+                    this._launchSpinner = new Animation.Spinner(LAUNCH_SPINNER_SIZE, { animate: true });
+                    this._launchSpinner.x_expand = true;
+                    this._launchSpinner.y_expand = true;
+                    this._launchSpinner.x_align = Clutter.ActorAlign.END;
+                    this._launchSpinner.y_align = Clutter.ActorAlign.END;
+                    this._layout.add_actor(this._launchSpinner);
+                    this._launchSpinner.play();
+                    break;
+
+            }
+        }
+
+        _updateUrgency() {
+
+            // no need to draw attention to the active app
+            const isUrgent = (
+                !!this.launcherEntry?.urgent ||
+                [...this._attentionWindows.keys()].some(window => window.demands_attention || window.urgent)
+            ) && !this.isActive;
+
+            if (!isUrgent) {
+                this._untrackAttentionWindows();
+            }
+
+            const attentionEffect = isUrgent ? this._config.attentionEffect : 'none';
+
+            if (this._attentionEffect === attentionEffect) {
+                return;
+            }
+
+            const oldAttentionEffect = this._attentionEffect;
+
+            this._attentionEffect = attentionEffect;
+
+            // reset the previous effect
+            switch (oldAttentionEffect) {
+
+                case 'pulse':
+                    this._appIcon.remove_transition('scale-x');
+                    this._appIcon.remove_transition('scale-y');
+                    this._appIcon.ease({
+                        scale_x: 1,
+                        scale_y: 1,
+                        duration: 200,
+                        mode: Clutter.AnimationMode.EASE_OUT_QUAD
+                    });
+                    break;
+
+                case 'wiggle':
+                    this._appIconTexture.remove_transition('rotation-angle-z');
+                    this._appIconTexture.ease({
+                        rotation_angle_z: 0,
+                        duration: 200,
+                        mode: Clutter.AnimationMode.EASE_OUT_QUAD
+                    });
+                    break;
+
+                case 'glow':
+                    this._attentionGlow?.destroy();
+                    this._attentionGlow = null;
+                    break;
+
+                case 'blink':
+                    this._indicator?.setBlinking(false);
+                    break;
+
+            }
+
+            switch (attentionEffect) {
+
+                // pulse until the app is not urgent anymore
+                case 'pulse':
+                    this._appIcon.set_pivot_point(0.5, 0.5);
+                    this._appIcon.ease({
+                        scale_x: 1.15,
+                        scale_y: 1.15,
+                        duration: 500,
+                        mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+                        autoReverse: true,
+                        repeatCount: -1
+                    });
+                    break;
+
+                case 'wiggle':
+                    this._appIconTexture.set_pivot_point(0.5, 0.5);
+                    this._appIconTexture.rotation_angle_z = -ATTENTION_WIGGLE_ANGLE;
+                    this._appIconTexture.ease({
+                        rotation_angle_z: ATTENTION_WIGGLE_ANGLE,
+                        duration: 150,
+                        mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+                        autoReverse: true,
+                        repeatCount: -1
+                    });
+                    break;
+
+                case 'glow':
+                    this._addAttentionGlow();
+                    break;
+
+                case 'blink':
+                    this._indicator?.setBlinking(true);
+                    break;
+
+            }
+        }
+
+        _addAttentionGlow() {
+
+            const style = this._getAttentionGlowStyle();
+
+            if (!style) {
+                return;
+            }
+
+            this._attentionGlow = new St.Bin({
+                name: 'taskbar-appButton-attention-glow',
+                x_expand: true,
+                y_expand: true,
+                x_align: Clutter.ActorAlign.FILL,
+                y_align: Clutter.ActorAlign.FILL,
+                opacity: 0,
+                style: style
+            });
+
+            // keep the glow under the icon
+            this._layout.insert_child_below(this._attentionGlow, this._appIcon);
+
+            this._attentionGlow.ease({
+                opacity: 255,
+                duration: 700,
+                mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+                autoReverse: true,
+                repeatCount: -1
+            });
+        }
+
+        _updateAttentionGlow() {
+
+            if (!this._attentionGlow) {
+                this._addAttentionGlow();
+                return;
+            }
+
+            const style = this._getAttentionGlowStyle();
+
+            if (style) {
+                this._attentionGlow.style = style;
+            }
+        }
+
+        _getAttentionGlowStyle() {
+
+            // the glow uses the backlight color when the dominant color isn't available
+            const color = this.dominantColor || this._config.backlightColor;
+
+            if (!color) {
+                return null;
+            }
+
+            const rgb = `${color.r}, ${color.g}, ${color.b}`;
+
+            return (
+                `background-color: rgba(${rgb}, 0.3);` +
+                `box-shadow: 0 0 8px 2px rgba(${rgb}, 0.8);` +
+                `border-radius: ${this._config.roundness}px;`
+            );
+        }
+
         _isValid() {
             return this.mapped && this.get_stage() !== null;
         }
@@ -20,6 +20,7 @@ export class AppButtonIndicator {
         this._settings = settings;
         this._indicators = null;
         this._isActive = false;
+        this._isBlinking = false;
         this._dominantColor = null;
 
         this._handleSettings();
@@ -46,6 +47,17 @@ export class AppButtonIndicator {
         this._updateIndicatorsStyle();
     }
 
+    setBlinking(isBlinking) {
+
+        if (this._isBlinking === isBlinking) {
+            return;
+        }
+
+        this._isBlinking = isBlinking;
+
+        this._indicators?.forEach(indicator => this._updateBlinking(indicator));
+    }
+
     //#endregion public methods
 
     //#region private methods
@@ -198,6 +210,11 @@ export class AppButtonIndicator {
 
         this._layout.add_actor(indicator);
 
+        if (this._isBlinking) {
+            this._updateBlinking(indicator);
+            return;
+        }
+
         indicator.ease({
             opacity: 255,
             duration: 300,
@@ -205,6 +222,30 @@ export class AppButtonIndicator {
         });
     }
 
+    _updateBlinking(indicator) {
+
+        indicator.remove_transition('opacity');
+
+        if (!this._isBlinking) {
+            indicator.ease({
+                opacity: 255,
+                duration: 200,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD
+            });
+            return;
+        }
+
+        // blink until the app doesn't demand attention anymore
+        indicator.opacity = 255;
+        indicator.ease({
+            opacity: 0,
+            duration: 400,
+            mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+            autoReverse: true,
+            repeatCount: -1
+        });
+    }
+
     _updateIndicatorsStyle() {
 
         if (!this._indicators?.length) {
@@ -225,9 +266,14 @@ export class AppButtonIndicator {
             Clutter.ActorAlign.END
         );
 
+        // indicators are displayed on the side of app buttons in side panels
+        // top is the left side and bottom is the right side then
+        const isVertical = this._appButton.isVertical;
+
         for (let i = 0, l = this._indicators.length; i < l; ++i) {
             this._indicators[i].style = this._getIndicatorStyle(i);
-            this._indicators[i].y_align = position;
+            this._indicators[i].x_align = isVertical ? position : Clutter.ActorAlign.CENTER;
+            this._indicators[i].y_align = isVertical ? Clutter.ActorAlign.CENTER : position;
         }   
     }
 
@@ -246,10 +292,12 @@ export class AppButtonIndicator {
         );
 
 
+        const isVertical = this._appButton.isVertical;
+
         let result = (
             `background-color: ${backgroundColor};` +
-            `width: ${width}px;` +
-            `height: ${height}px;` +
+            `width: ${isVertical ? height : width}px;` +
+            `height: ${isVertical ? width : height}px;` +
             `border-radius: ${roundness}px;`
         );
 
@@ -264,13 +312,19 @@ export class AppButtonIndicator {
 
         const margin = width + spacing;
 
+        const [marginStart, marginEnd] = (
+            isVertical ?
+            ['margin-top', 'margin-bottom'] :
+            ['margin-left', 'margin-right']
+        );
+
         if (index === 0 || index < (indicatorsLength - 1)) {
             const marginOffset = indicatorsLength - 1 - index;
-            result += `margin-right: ${margin * marginOffset}px;`;
+            result += `${marginEnd}: ${margin * marginOffset}px;`;
         }
 
         if (index > 0) {
-            result += `margin-left: ${margin * index}px;`;
+            result += `${marginStart}: ${margin * index}px;`;
         }
 
         return result;
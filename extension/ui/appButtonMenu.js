@@ -3,6 +3,8 @@
 //#region imports
 
 import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
 import St from 'gi://St';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
@@ -16,6 +18,8 @@ import  { PopupMenuSection,
     Ornament } from 'resource:///org/gnome/shell/ui/popupMenu.js';
 
 // custom modules import
+import { DBusMenu } from '../utils/dbusMenu.js';
+import { PositionProvider } from '../utils/positionProvider.js';
 import { Timeout } from '../utils/timeout.js';
 
 //#endregion imports
@@ -28,8 +32,13 @@ class SubMenuItem {
 
         this.actor = new PopupSubMenuMenuItem(title);
 
+        const separator = new PopupSeparatorMenuItem();
+
+        // hidden submenus don't leave empty separators
+        this.actor.bind_property('visible', separator, 'visible', GObject.BindingFlags.SYNC_CREATE);
+
         parentMenu.addMenuItem(this.actor);
-        parentMenu.addMenuItem(new PopupSeparatorMenuItem());
+        parentMenu.addMenuItem(separator);
     }
 
     addMenuItem(menuItem) {
@@ -40,6 +49,10 @@ class SubMenuItem {
         return this.actor.menu.addAction(title, callback);
     }
 
+    removeAll() {
+        this.actor.menu.removeAll();
+    }
+
     queueUpdate(callback) {
 
         if (this._updateTimeout || !callback) {
@@ -145,14 +158,8 @@ class AppButtonMenuBase extends AppMenu {
 
     _setPosition() {
 
-        const [x, y] = this._appButton.get_transformed_position();
-
         // set position based on location of app button
-        this.actor._arrowSide = (
-            y < 100 ?
-            St.Side.TOP :
-            St.Side.BOTTOM
-        );
+        this.actor._arrowSide = PositionProvider.getMonitorSide(this._appButton, this._appButton.isVertical);
     }
 
     //#region default methods override
@@ -241,8 +248,18 @@ export class AppButtonMenu extends AppButtonMenuBase {
 
         this._iconProvider = iconProvider;
 
+        this._addQuicklistSection();
+
         this._addSoundControlSection();
 
+        this._addWorkspaceFavoriteItem();
+
+        this._addPinGroupSection();
+
+        this._addSpreadItem();
+
+        this._addMoveToSection();
+
         this._addCustomizeSection();
 
         // move Quit item to the end of the app menu
@@ -261,8 +278,18 @@ export class AppButtonMenu extends AppButtonMenuBase {
     }
 
     open() {
+        this._updateQuicklistSection();
+
         this._updateSountControlSection();
 
+        this._updateWorkspaceFavoriteItem();
+
+        this._updatePinGroupSection();
+
+        this._updateSpreadItem();
+
+        this._updateMoveToSection();
+
         super.open();
     }
 
@@ -294,6 +321,76 @@ export class AppButtonMenu extends AppButtonMenuBase {
         this._config.configOverride = this._appButton.configOverride.get();
     }
 
+    _addQuicklistSection() {
+
+        // quicklist items provided via Unity Launcher API are displayed on top of the menu
+        this._quicklistSection = new PopupMenuSection();
+
+        // items are loaded asynchronously, only the result of the last request is displayed
+        this._quicklistRequestId = 0;
+
+        this.addMenuItem(this._quicklistSection, 0);
+    }
+
+    _updateQuicklistSection() {
+
+        const quicklist = this._appButton.launcherEntry?.quicklist;
+        const requestId = ++this._quicklistRequestId;
+
+        this._quicklistSection.removeAll();
+
+        if (!quicklist) {
+            return;
+        }
+
+        const dbusMenu = new DBusMenu(quicklist.busName, quicklist.objectPath);
+
+        dbusMenu.getItems().then(items => {
+
+            // the menu has been closed, destroyed or opened again while loading the items
+            if (!this.isOpen || !this._quicklistSection || requestId !== this._quicklistRequestId) {
+                return;
+            }
+
+            this._populateQuicklistSection(dbusMenu, items);
+        });
+    }
+
+    _populateQuicklistSection(dbusMenu, items) {
+
+        const visibleItems = items.filter(item => item.visible);
+
+        if (!visibleItems.length) {
+            return;
+        }
+
+        for (let item of visibleItems) {
+
+            if (item.isSeparator) {
+                this._quicklistSection.addMenuItem(this._createSeparator());
+                continue;
+            }
+
+            // nested items are displayed in a submenu
+            if (item.children.length) {
+
+                const subMenuItem = new PopupSubMenuMenuItem(item.label);
+
+                item.children.filter(child => child.visible && !child.isSeparator).forEach(child => {
+                    subMenuItem.menu.addAction(child.label, () => dbusMenu.activate(child.id)).setSensitive(child.enabled);
+                });
+
+                this._quicklistSection.addMenuItem(subMenuItem);
+
+                continue;
+            }
+
+            this._quicklistSection.addAction(item.label, () => dbusMenu.activate(item.id)).setSensitive(item.enabled);
+        }
+
+        this._quicklistSection.addMenuItem(this._createSeparator());
+    }
+
     _addSoundControlSection() {
         this._soundControlSection = new SubMenuItem(_('Sound Volume Control'), this);
 
@@ -304,6 +401,217 @@ export class AppButtonMenu extends AppButtonMenuBase {
         this._soundControlSection.addMenuItem(this._soundInputSliderItem);
     }
 
+    _addWorkspaceFavoriteItem() {
+
+        if (!this._hasValidAppId) {
+            return;
+        }
+
+        this._workspaceFavoriteItem = this.addAction('', () => this._toggleWorkspaceFavorite());
+
+        // place it next to the Pin item
+        this.moveMenuItem(this._workspaceFavoriteItem, this._getMenuItems().indexOf(this._toggleFavoriteItem) + 1);
+    }
+
+    _updateWorkspaceFavoriteItem() {
+
+        if (!this._workspaceFavoriteItem) {
+            return;
+        }
+
+        // the taskbar keeps workspace favorites while they are displayed
+        const workspaceFavorites = this._appButton.taskbar?.getWorkspaceFavorites();
+
+        this._workspaceFavoriteItem.visible = !!workspaceFavorites;
+
+        if (!this._workspaceFavoriteItem.visible) {
+            return;
+        }
+
+        const workspaceIndex = global.workspace_manager.get_active_workspace_index();
+
+        this._workspaceFavoriteItem.label.text = (
+            workspaceFavorites.hasApp(workspaceIndex, this._appButton.appId) ?
+            _('Unpin from this workspace') :
+            _('Pin to this workspace only')
+        );
+    }
+
+    _toggleWorkspaceFavorite() {
+
+        const workspaceFavorites = this._appButton.taskbar?.getWorkspaceFavorites();
+
+        if (!workspaceFavorites) {
+            return;
+        }
+
+        const appId = this._appButton.appId;
+        const workspaceIndex = global.workspace_manager.get_active_workspace_index();
+
+        if (workspaceFavorites.hasApp(workspaceIndex, appId)) {
+            workspaceFavorites.removeApp(workspaceIndex, appId);
+            return;
+        }
+
+        workspaceFavorites.addApp(workspaceIndex, appId);
+
+        // global favorites are displayed on every workspace
+        if (this._settings.get_string('taskbar-workspace-favorites-mode') === 'layer' &&
+                this._appFavorites.isFavorite(appId)) {
+            this._appFavorites.removeFavorite(appId);
+        }
+    }
+
+    _addPinGroupSection() {
+
+        if (!this._hasValidAppId) {
+            return;
+        }
+
+        this._pinGroupSection = new PopupMenuSection();
+
+        this.addMenuItem(this._pinGroupSection);
+    }
+
+    _updatePinGroupSection() {
+
+        if (!this._pinGroupSection) {
+            return;
+        }
+
+        this._pinGroupSection.removeAll();
+
+        // the taskbar keeps pin groups while pinned apps are displayed
+        const pinGroups = this._appButton.taskbar?.getPinGroups();
+
+        // only pinned apps can be put into folders
+        if (!pinGroups || !this._appFavorites.isFavorite(this._appButton.appId)) {
+            return;
+        }
+
+        const appId = this._appButton.appId;
+        const groups = pinGroups.getGroups();
+
+        if (!groups.length) {
+            return;
+        }
+
+        this._pinGroupSection.addMenuItem(this._createSeparator(_('Folder')));
+
+        for (let i = 0, l = groups.length; i < l; ++i) {
+
+            const group = groups[i];
+
+            if (group.appIds.includes(appId)) {
+                this._pinGroupSection.addAction(
+                    `${_('Remove from')} ${group.name}`,
+                    () => pinGroups.removeApp(group.id, appId)
+                );
+                continue;
+            }
+
+            this._pinGroupSection.addAction(
+                `${_('Move to')} ${group.name}`,
+                () => pinGroups.addApp(group.id, appId)
+            );
+        }
+    }
+
+    _addSpreadItem() {
+        this._spreadItem = this.addAction(_('Spread windows'), () => this._appButton.showSpread());
+    }
+
+    _updateSpreadItem() {
+        // there is nothing to pick from a single window
+        this._spreadItem.actor.visible = this._appButton.getSpreadWindows().length > 1;
+    }
+
+    _addMoveToSection() {
+        this._moveToSection = new SubMenuItem(_('Move to…'), this);
+        this._moveWindowToSection = new SubMenuItem(_('Move window to…'), this);
+    }
+
+    _updateMoveToSection() {
+
+        this._moveToSection.removeAll();
+        this._moveWindowToSection.removeAll();
+
+        const windows = this._appButton.window ? [this._appButton.window] : (this._appButton.app?.get_windows() || []);
+        const hasTargets = global.workspace_manager.n_workspaces > 1 || Main.layoutManager.monitors.length > 1;
+
+        this._moveToSection.actor.visible = hasTargets && windows.length > 0;
+
+        // a single window can be chosen when the app button groups several windows
+        this._moveWindowToSection.actor.visible = hasTargets && windows.length > 1;
+
+        if (!this._moveToSection.actor.visible) {
+            return;
+        }
+
+        this._addMoveToItems(this._moveToSection, null);
+
+        if (!this._moveWindowToSection.actor.visible) {
+            return;
+        }
+
+        for (let i = 0, l = windows.length; i < l; ++i) {
+
+            const window = windows[i];
+
+            this._moveWindowToSection.addMenuItem(this._createSeparator(window.title || this._appButton.app.get_name()));
+
+            this._addMoveToItems(this._moveWindowToSection, window);
+        }
+    }
+
+    _addMoveToItems(section, window) {
+
+        const workspacesCount = global.workspace_manager.n_workspaces;
+        const monitorsCount = Main.layoutManager.monitors.length;
+
+        // skip the current workspace and monitor of the chosen window
+        const currentWorkspaceIndex = window && !window.is_on_all_workspaces() ? window.get_workspace().index() : -1;
+        const currentMonitorIndex = window ? window.get_monitor() : -1;
+
+        if (workspacesCount > 1) {
+
+            if (!window) {
+                section.addMenuItem(this._createSeparator(_('Workspace')));
+            }
+
+            for (let i = 0; i < workspacesCount; ++i) {
+
+                if (i === currentWorkspaceIndex) {
+                    continue;
+                }
+
+                section.addAction(
+                    Meta.prefs_get_workspace_name(i),
+                    () => this._appButton.moveWindowsToWorkspace(i, window)
+                );
+            }
+        }
+
+        if (monitorsCount > 1) {
+
+            if (!window) {
+                section.addMenuItem(this._createSeparator(_('Monitor')));
+            }
+
+            for (let i = 0; i < monitorsCount; ++i) {
+
+                if (i === currentMonitorIndex) {
+                    continue;
+                }
+
+                section.addAction(
+                    `${_('Monitor')} ${i + 1}`,
+                    () => this._appButton.moveWindowsToMonitor(i, window)
+                );
+            }
+        }
+    }
+
     _addCustomizeSection() {
 
         // Don't allow customizations for app buttons without valid app Id
@@ -413,14 +721,24 @@ export class AppButtonMenu extends AppButtonMenuBase {
 
         this._activateBehaviorSection.addMenuItem(this._createSeparator(_('Activation Behavior')));
 
-        this._activateBehaviorNewWindowItem = this._activateBehaviorSection.addAction(
-            _('New window'),
-            () => this._setActivationBehaviorValue('new_window')
-        );
-        this._activateBehaviorMoveWindowsItem = this._activateBehaviorSection.addAction(
-            _('Move windows'),
-            () => this._setActivationBehaviorValue('move_windows')
-        );
+        const activateBehaviorOptions = [
+            { label: _('New window'), value: 'new_window' },
+            { label: _('Move windows'), value: 'move_windows' },
+            { label: _('Switch to workspace'), value: 'switch_to_workspace' },
+            { label: _('Show window previews'), value: 'show_previews' },
+            { label: _('Spread windows'), value: 'spread' },
+            { label: _('Raise all windows'), value: 'raise_all' }
+        ];
+
+        // value => menu item
+        this._activateBehaviorItems = new Map();
+
+        activateBehaviorOptions.forEach(option => {
+            this._activateBehaviorItems.set(option.value, this._activateBehaviorSection.addAction(
+                option.label,
+                () => this._setActivationBehaviorValue(option.value)
+            ));
+        });
 
         this._customizeSection.addMenuItem(this._activateBehaviorSection);
 
@@ -475,7 +793,8 @@ export class AppButtonMenu extends AppButtonMenuBase {
 
         this._setIconSizeSliderOverdrive();
 
-        this._activateBehaviorSection.actor.visible = this._config.isolateWorkspaces;
+        // windows are moved to the active workspace only when workspaces are isolated
+        this._activateBehaviorItems.get('move_windows').actor.visible = this._config.isolateWorkspaces;
 
         this._setActivationBehaviorValue();
 
@@ -488,32 +807,14 @@ export class AppButtonMenu extends AppButtonMenuBase {
 
     _setActivationBehaviorValue(value) {
 
-        if (!this._activateBehaviorSection.actor.visible) {
-            return;
-        }
-
         if (value) {
             this._config.configOverride.activateRunningBehavior = value;
         }
 
-        const menuItems = [
-            this._activateBehaviorNewWindowItem,
-            this._activateBehaviorMoveWindowsItem
-        ];
-
-        let selectedMenuItem = null;
-
-        switch (this._config.configOverride.activateRunningBehavior) {
-            case 'new_window':
-                selectedMenuItem = this._activateBehaviorNewWindowItem;
-                break;
-            case 'move_windows':
-                selectedMenuItem = this._activateBehaviorMoveWindowsItem;
-                break
-        }
+        const selectedValue = this._config.configOverride.activateRunningBehavior;
 
-        menuItems.forEach(item => {
-            if (item === selectedMenuItem) {
+        this._activateBehaviorItems.forEach((item, itemValue) => {
+            if (itemValue === selectedValue) {
                 item.setOrnament(Ornament.DOT);
                 return;
             }
@@ -0,0 +1,437 @@
+/* exported AppButtonPreview */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import Pango from 'gi://Pango';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { PositionProvider } from '../utils/positionProvider.js';
+import { ScrollHandler } from '../utils/scrollHandler.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const THUMBNAIL_WIDTH = 200;
+const THUMBNAIL_HEIGHT = 120;
+
+class WindowPreview {
+
+    constructor(window, callback) {
+
+        this.window = window;
+
+        this._callback = callback;
+
+        this._createLayout();
+
+        this._connections = new Connections();
+        this._connections.add(this.window, 'notify::title', () => this._updateTitle());
+
+        // keep the aspect ratio of resized windows
+        if (this._clone) {
+            this._connections.add(this._clone.source, 'notify::size', () => this._updateCloneSize());
+        }
+
+        this._updateTitle();
+    }
+
+    destroy() {
+        this._connections.destroy();
+        this.actor.destroy();
+    }
+
+    setSelected(selected) {
+
+        if (selected) {
+            this.actor.add_style_pseudo_class('selected');
+            return;
+        }
+
+        this.actor.remove_style_pseudo_class('selected');
+    }
+
+    _createLayout() {
+
+        this.actor = new St.Button({
+            name: 'appButton-preview-item',
+            style_class: 'rocketbar__preview-item',
+            reactive: true,
+            button_mask: St.ButtonMask.ONE | St.ButtonMask.TWO
+        });
+
+        this.actor.connect('clicked', (actor, button) => this._callback(this, button));
+
+        const layout = new St.BoxLayout({
+            vertical: true
+        });
+
+        this._title = new St.Label({
+            name: 'appButton-preview-item-title',
+            style_class: 'rocketbar__preview-item-title',
+            style: `max-width: ${THUMBNAIL_WIDTH}px;`
+        });
+
+        this._title.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+
+        layout.add_actor(this._title);
+
+        const thumbnail = new St.Widget({
+            name: 'appButton-preview-item-thumbnail',
+            layout_manager: new Clutter.BinLayout(),
+            width: THUMBNAIL_WIDTH,
+            height: THUMBNAIL_HEIGHT
+        });
+
+        this._clone = this._createClone();
+
+        if (this._clone) {
+            thumbnail.add_actor(this._clone);
+            this._updateCloneSize();
+        }
+
+        layout.add_actor(thumbnail);
+
+        this.actor.set_child(layout);
+    }
+
+    _createClone() {
+
+        const windowActor = this.window.get_compositor_private();
+
+        if (!windowActor) {
+            return null;
+        }
+
+        return new Clutter.Clone({
+            source: windowActor,
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER
+        });
+    }
+
+    _updateCloneSize() {
+
+        const [width, height] = this._clone.source.get_size();
+
+        const scale = Math.min(THUMBNAIL_WIDTH / (width || 1), THUMBNAIL_HEIGHT / (height || 1), 1);
+
+        this._clone.set_size(Math.floor(width * scale), Math.floor(height * scale));
+    }
+
+    _updateTitle() {
+        this._title.text = this.window.title || '';
+    }
+
+}
+
+export class AppButtonPreview {
+
+    //#region public methods
+
+    /*
+     * immediate: show previews without the tooltip delay, e.g. on click
+     */
+    constructor(appButton, settings, destroyCallback, immediate = false) {
+
+        this._appButton = appButton;
+        this._destroyCallback = destroyCallback;
+        this._previews = [];
+        this._selectedIndex = -1;
+
+        // the popup is shown asynchronously anyway to let the app button store the instance
+        const showDelay = immediate ? 0 : settings.get_int('tooltip-show-delay');
+
+        this._showTimeout = Timeout.default(showDelay).run(() => {
+            this._showTimeout = null;
+            this._show();
+        });
+    }
+
+    rerender() {
+        this._update();
+    }
+
+    show(immediate = false) {
+
+        this._stopHide();
+
+        if (!immediate || !this._showTimeout) {
+            return;
+        }
+
+        this._showTimeout.destroy();
+        this._showTimeout = null;
+
+        this._show();
+    }
+
+    hide() {
+
+        if (this._hideTimeout) {
+            return;
+        }
+
+        // give some time to move the pointer from the app button to the previews
+        this._hideTimeout = Timeout.default(300).run(() => {
+
+            this._hideTimeout = null;
+
+            if (this._popup?.hover || this._appButton.hover) {
+                return;
+            }
+
+            this.destroy(true);
+        });
+    }
+
+    destroy(animation) {
+
+        this._showTimeout?.destroy();
+        this._showTimeout = null;
+
+        this._stopHide();
+
+        if (this._destroyCallback) {
+            this._destroyCallback();
+            this._destroyCallback = null;
+        }
+
+        if (!this._popup) {
+            return;
+        }
+
+        const popup = this._popup;
+
+        this._popup = null;
+
+        this._scrollHandler?.destroy();
+        this._scrollHandler = null;
+
+        this._destroyPreviews();
+
+        popup.remove_all_transitions();
+
+        if (animation) {
+            popup.ease({
+                opacity: 0,
+                duration: 200,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                onComplete: () => popup.destroy()
+            });
+            return;
+        }
+
+        popup.destroy();
+    }
+
+    //#endregion public methods
+
+    //#region private methods
+
+    _show() {
+
+        this._createPopup();
+
+        this._update();
+
+        // windows could be closed during the show delay
+        if (!this._popup) {
+            return;
+        }
+
+        this._popup.ease({
+            opacity: 255,
+            duration: 300,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD
+        });
+    }
+
+    _createPopup() {
+
+        this._popup = new St.BoxLayout({
+            name: 'appButton-preview',
+            style_class: 'dash-label rocketbar__tooltip rocketbar__preview',
+            reactive: true,
+            track_hover: true,
+            opacity: 0
+        });
+
+        this._popup.connect('notify::hover', () => {
+
+            if (this._popup?.hover) {
+                this._stopHide();
+                return;
+            }
+
+            this.hide();
+        });
+
+        this._scrollHandler = new ScrollHandler(this._popup, params => this._handleScroll(params));
+
+        Main.layoutManager.addChrome(this._popup);
+    }
+
+    _update() {
+
+        if (!this._popup) {
+            return;
+        }
+
+        // windows are filtered by the app button according to the isolate workspaces setting
+        const windows = this._appButton.getWindows();
+
+        if (!windows.length) {
+            this.destroy(true);
+            return;
+        }
+
+        const oldWindows = this._previews.map(preview => preview.window);
+
+        // rebuild previews only when windows have changed
+        if (oldWindows.length !== windows.length ||
+                windows.some(window => !oldWindows.includes(window))) {
+
+            this._destroyPreviews();
+
+            // keep the order stable while cycling through the windows
+            windows.sort((a, b) => a.get_stable_sequence() - b.get_stable_sequence());
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+
+                const preview = new WindowPreview(windows[i], (preview, button) => this._handleClick(preview, button));
+
+                this._previews.push(preview);
+
+                this._popup.add_actor(preview.actor);
+            }
+        }
+
+        this._selectPreview(this._previews.findIndex(preview => preview.window.has_focus()));
+
+        this._setPosition();
+    }
+
+    _handleClick(preview, button) {
+
+        // middle click to close the window
+        if (button === Clutter.BUTTON_MIDDLE) {
+            preview.window.delete(global.get_current_time());
+            return;
+        }
+
+        Main.overview.hide();
+
+        Main.activateWindow(preview.window);
+
+        this.destroy(true);
+    }
+
+    _handleScroll(params) {
+
+        const [scrollDirection] = params;
+
+        if (!this._previews.length) {
+            return Clutter.EVENT_STOP;
+        }
+
+        let nextIndex = this._selectedIndex + (scrollDirection === Clutter.ScrollDirection.UP ? -1 : 1);
+
+        if (nextIndex >= this._previews.length) {
+            nextIndex = 0;
+        } else if (nextIndex < 0) {
+            nextIndex = this._previews.length - 1;
+        }
+
+        this._selectPreview(nextIndex);
+
+        Main.activateWindow(this._previews[nextIndex].window);
+
+        return Clutter.EVENT_STOP;
+    }
+
+    _selectPreview(index) {
+
+        this._selectedIndex = index;
+
+        for (let i = 0, l = this._previews.length; i < l; ++i) {
+            this._previews[i].setSelected(i === index);
+        }
+    }
+
+    _destroyPreviews() {
+
+        for (let i = 0, l = this._previews.length; i < l; ++i) {
+            this._previews[i].destroy();
+        }
+
+        this._previews = [];
+        this._selectedIndex = -1;
+    }
+
+    _stopHide() {
+        this._hideTimeout?.destroy();
+        this._hideTimeout = null;
+    }
+
+    _setPosition() {
+
+        if (!this._popup) {
+            return;
+        }
+
+        let [x, y] = this._appButton.get_transformed_position();
+
+        const [appButtonWidth, appButtonHeight] = [
+            this._appButton.allocation.get_width(),
+            this._appButton.allocation.get_height()
+        ];
+
+        // the popup could be not allocated yet
+        const [, , popupWidth, popupHeight] = this._popup.get_preferred_size();
+
+        // place it next to the app button in side panels
+        if (this._appButton.isVertical) {
+
+            const monitor = Main.layoutManager.findMonitorForActor(this._appButton);
+
+            // define a static horizontal offset
+            const xOffset = 3;
+
+            // if app button is on the left side of the screen
+            if (x < monitor.x + monitor.width / 2) {
+                x = x + appButtonWidth + xOffset;
+            } else {
+                x = x - popupWidth - xOffset;
+            }
+
+            y = Math.clamp(y + Math.floor((appButtonHeight - popupHeight) / 2), 0, global.stage.height - popupHeight);
+
+            this._popup.set_position(x, y);
+
+            return;
+        }
+
+        const xOffset = Math.floor((appButtonWidth - popupWidth) / 2);
+
+        // define a static vertical offset
+        const yOffset = 3;
+
+        // if app button is on top of the screen
+        if (PositionProvider.getMonitorSide(this._appButton) === St.Side.TOP) {
+            y = y + appButtonHeight + yOffset;
+        } else {
+            y = y - popupHeight - yOffset;
+        }
+
+        x = Math.clamp(x + xOffset, 0, global.stage.width - popupWidth);
+
+        this._popup.set_position(x, y);
+    }
+
+    //#endregion private methods
+
+}
\ No newline at end of file
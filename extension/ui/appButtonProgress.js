@@ -0,0 +1,150 @@
+/* exported AppButtonProgress */
+
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+
+export class AppButtonProgress {
+
+    constructor(appButton, layout, settings) {
+
+        this._appButton = appButton;
+        this._layout = layout;
+        this._settings = settings;
+        this._progressBar = null;
+
+        this.rerender();
+    }
+
+    //#region public methods
+
+    destroy() {
+
+        this._layout = null;
+
+        this._update();
+    }
+
+    rerender() {
+        this._update();
+    }
+
+    //#endregion public methods
+
+    //#region private methods
+
+    _update() {
+
+        const entry = this._appButton.launcherEntry;
+
+        const show = (
+            this._layout &&
+            entry?.progressVisible &&
+            this._appButton.windows > 0
+        );
+
+        if (!show) {
+
+            if (!this._progressBar) {
+                return;
+            }
+
+            const oldProgressBar = this._progressBar;
+
+            this._progressBar = null;
+            this._progressBarFill = null;
+
+            oldProgressBar.remove_all_transitions();
+
+            // destroy without animation
+            if (!this._layout) {
+                oldProgressBar.destroy();
+                return;
+            }
+
+            oldProgressBar.ease({
+                opacity: 0,
+                duration: 200,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                onComplete: () => oldProgressBar.destroy()
+            });
+
+            return;
+        }
+
+        if (!this._progressBar) {
+            this._createProgressBar();
+        }
+
+        this._updateStyle();
+
+        this._updateProgress();
+    }
+
+    _createProgressBar() {
+
+        this._progressBar = new St.Widget({
+            name: 'taskbar-appButton-progress',
+            style_class: 'rocketbar__progress',
+            layout_manager: new Clutter.BinLayout(),
+            x_expand: true,
+            y_expand: true,
+            x_align: Clutter.ActorAlign.FILL,
+            opacity: 0
+        });
+
+        this._progressBarFill = new St.Bin({
+            name: 'taskbar-appButton-progress-fill',
+            style_class: 'rocketbar__progress-fill',
+            x_expand: true,
+            y_expand: true,
+            x_align: Clutter.ActorAlign.START,
+            y_align: Clutter.ActorAlign.FILL
+        });
+
+        this._progressBar.add_actor(this._progressBarFill);
+
+        // the width of the fill depends on the allocated width of the progress bar
+        this._progressBar.connect('notify::width', () => this._updateProgress());
+
+        this._layout.add_actor(this._progressBar);
+
+        this._progressBar.ease({
+            opacity: 255,
+            duration: 300,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD
+        });
+    }
+
+    _updateStyle() {
+
+        // place the progress bar opposite to indicators
+        this._progressBar.y_align = (
+            this._settings.get_string('indicator-position') === 'bottom' ?
+            Clutter.ActorAlign.START :
+            Clutter.ActorAlign.END
+        );
+
+        const dominantColor = this._appButton.dominantColor;
+
+        this._progressBarFill.style = (
+            dominantColor ?
+            `background-color: rgb(${dominantColor.r}, ${dominantColor.g}, ${dominantColor.b});` :
+            null
+        );
+    }
+
+    _updateProgress() {
+
+        if (!this._progressBar) {
+            return;
+        }
+
+        // apps can report values out of the range
+        const progress = Math.clamp(this._appButton.launcherEntry?.progress || 0, 0, 1);
+
+        this._progressBarFill.width = Math.round(this._progressBar.width * progress);
+    }
+
+    //#endregion private methods
+
+}
\ No newline at end of file
@@ -7,6 +7,7 @@ import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
 // custom modules import
+import { PositionProvider } from '../utils/positionProvider.js';
 import { Timeout } from '../utils/timeout.js';
 
 //#endregion imports
@@ -223,13 +224,35 @@ export class AppButtonTooltip {
 
         const [tooltipWidth, tooltipHeight] = this._tooltip.get_size();
 
+        // place it next to the app button in side panels
+        if (this._appButton.isVertical) {
+
+            const monitor = Main.layoutManager.findMonitorForActor(this._appButton);
+
+            // define a static horizontal offset
+            const xOffset = 3;
+
+            // if app button is on the left side of the screen
+            if (x < monitor.x + monitor.width / 2) {
+                x = x + appButtonWidth + xOffset;
+            } else {
+                x = x - tooltipWidth - xOffset;
+            }
+
+            y = Math.clamp(y + Math.floor((appButtonHeight - tooltipHeight) / 2), 0, global.stage.height - tooltipHeight);
+
+            this._tooltip.set_position(x, y);
+
+            return;
+        }
+
         const xOffset = Math.floor((appButtonWidth - tooltipWidth) / 2);
         
         // define a static vertical offset
         const yOffset = 3;
 
         // if app button is on top of the screen
-        if (y < 100) {
+        if (PositionProvider.getMonitorSide(this._appButton) === St.Side.TOP) {
             y = y + appButtonHeight + yOffset;
         } else {
             y = y - tooltipHeight - yOffset;
@@ -0,0 +1,479 @@
+/* exported AppSpread */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+import Pango from 'gi://Pango';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+
+//#endregion imports
+
+const ANIMATION_DURATION = 200;
+const SPREAD_PADDING = 48;
+const ITEM_SPACING = 24;
+const TITLE_HEIGHT = 30;
+
+class SpreadItem {
+
+    constructor(window, callback) {
+
+        this.window = window;
+
+        this._callback = callback;
+
+        this._createLayout();
+
+        this._connections = new Connections();
+        this._connections.add(this.window, 'notify::title', () => this._updateTitle());
+
+        this._updateTitle();
+    }
+
+    destroy() {
+        this._connections.destroy();
+        this.actor.destroy();
+    }
+
+    setSelected(selected) {
+
+        if (selected) {
+            this.actor.add_style_pseudo_class('selected');
+            return;
+        }
+
+        this.actor.remove_style_pseudo_class('selected');
+    }
+
+    matches(filter) {
+        return !filter || (this.window.title || '').toLowerCase().includes(filter.toLowerCase());
+    }
+
+    /*
+     * Fit the window clone into the cell keeping its aspect ratio
+     */
+    allocate(x, y, width, height) {
+
+        this.actor.set_position(x, y);
+        this.actor.set_size(width, height);
+
+        this._titleBox.style = `max-width: ${width}px;`;
+
+        const windowActor = this.window.get_compositor_private();
+
+        if (!windowActor || !this._clone) {
+            return;
+        }
+
+        const [windowWidth, windowHeight] = windowActor.get_size();
+
+        const scale = Math.min(
+            width / (windowWidth || 1),
+            (height - TITLE_HEIGHT) / (windowHeight || 1),
+            1
+        );
+
+        this._clone.set_size(Math.floor(windowWidth * scale), Math.floor(windowHeight * scale));
+    }
+
+    _createLayout() {
+
+        this.actor = new St.Button({
+            name: 'appButton-spread-item',
+            style_class: 'rocketbar__spread-item',
+            reactive: true
+        });
+
+        this.actor.connect('clicked', () => this._callback(this));
+
+        const layout = new St.BoxLayout({
+            vertical: true,
+            x_expand: true,
+            y_expand: true
+        });
+
+        const thumbnail = new St.Widget({
+            layout_manager: new Clutter.BinLayout(),
+            x_expand: true,
+            y_expand: true
+        });
+
+        const windowActor = this.window.get_compositor_private();
+
+        if (windowActor) {
+
+            this._clone = new Clutter.Clone({
+                source: windowActor,
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER
+            });
+
+            thumbnail.add_actor(this._clone);
+        }
+
+        layout.add_actor(thumbnail);
+
+        this._titleBox = new St.BoxLayout({
+            style_class: 'rocketbar__spread-item-title',
+            x_align: Clutter.ActorAlign.CENTER
+        });
+
+        this._title = new St.Label({
+            y_align: Clutter.ActorAlign.CENTER
+        });
+
+        this._title.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+
+        this._titleBox.add_actor(this._title);
+
+        // windows of other workspaces are displayed when the spread covers all workspaces
+        const workspace = this.window.get_workspace();
+
+        if (workspace && !this.window.is_on_all_workspaces() && !workspace.active) {
+            this._titleBox.add_actor(new St.Label({
+                style_class: 'rocketbar__spread-item-workspace',
+                text: Meta.prefs_get_workspace_name(workspace.index()),
+                y_align: Clutter.ActorAlign.CENTER
+            }));
+        }
+
+        layout.add_actor(this._titleBox);
+
+        this.actor.set_child(layout);
+    }
+
+    _updateTitle() {
+        this._title.text = this.window.title || '';
+    }
+
+}
+
+/**
+ * Displays windows of a single app side by side on a monitor
+ * to pick one of them by the pointer or by the keyboard, typing filters windows by title
+ */
+export class AppSpread {
+
+    //#region public methods
+
+    constructor(windows, monitorIndex, destroyCallback) {
+
+        this._monitorIndex = monitorIndex;
+        this._destroyCallback = destroyCallback;
+        this._items = [];
+        this._visibleItems = [];
+        this._selectedItem = null;
+        this._filter = '';
+        this._columns = 1;
+        this._windows = new Map(); // window => connection id
+
+        this._createLayout();
+
+        for (let i = 0, l = windows.length; i < l; ++i) {
+            this._addWindow(windows[i]);
+        }
+
+        this._layoutItems();
+
+        // the most recent window is usually focused, select the previous one
+        this._selectItem(
+            this._visibleItems.find(item => !item.window.has_focus()) ||
+            this._visibleItems[0]
+        );
+
+        this._grab = Main.pushModal(this._actor);
+
+        // another modal dialog could keep the keyboard
+        if ((this._grab.get_seat_state() & Clutter.GrabState.KEYBOARD) === 0) {
+            this.destroy();
+            return;
+        }
+
+        global.stage.set_key_focus(this._actor);
+
+        this._actor.ease({
+            opacity: 255,
+            duration: ANIMATION_DURATION,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD
+        });
+    }
+
+    destroy() {
+
+        if (!this._actor) {
+            return;
+        }
+
+        if (this._grab) {
+            Main.popModal(this._grab);
+            this._grab = null;
+        }
+
+        this._windows.forEach((connectionId, window) => window.disconnect(connectionId));
+        this._windows.clear();
+
+        this._items.forEach(item => item.destroy());
+        this._items = [];
+        this._visibleItems = [];
+        this._selectedItem = null;
+
+        const actor = this._actor;
+
+        this._actor = null;
+
+        actor.remove_all_transitions();
+
+        actor.ease({
+            opacity: 0,
+            duration: ANIMATION_DURATION,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            onComplete: () => actor.destroy()
+        });
+
+        if (this._destroyCallback) {
+            this._destroyCallback();
+            this._destroyCallback = null;
+        }
+    }
+
+    //#endregion public methods
+
+    //#region private methods
+
+    _createLayout() {
+
+        const monitor = Main.layoutManager.monitors[this._monitorIndex] || Main.layoutManager.primaryMonitor;
+
+        this._actor = new St.Widget({
+            name: 'appButton-spread',
+            style_class: 'rocketbar__spread',
+            reactive: true,
+            opacity: 0,
+            x: monitor.x,
+            y: monitor.y,
+            width: monitor.width,
+            height: monitor.height
+        });
+
+        // clicks on the empty space close the spread
+        this._actor.connect('button-press-event', (actor, event) => {
+
+            if (event.get_source() === this._actor) {
+                this.destroy();
+            }
+
+            return Clutter.EVENT_STOP;
+        });
+
+        this._actor.connect('key-press-event', (actor, event) => this._handleKeyPress(event));
+
+        this._filterLabel = new St.Label({
+            style_class: 'rocketbar__spread-filter',
+            width: monitor.width,
+            y: Math.floor(SPREAD_PADDING / 4),
+            visible: false
+        });
+
+        this._actor.add_actor(this._filterLabel);
+
+        Main.layoutManager.uiGroup.add_actor(this._actor);
+    }
+
+    _addWindow(window) {
+
+        const item = new SpreadItem(window, item => this._activateItem(item));
+
+        this._items.push(item);
+
+        this._actor.add_actor(item.actor);
+
+        this._windows.set(window, window.connect('unmanaged', () => this._removeWindow(window)));
+    }
+
+    _removeWindow(window) {
+
+        window.disconnect(this._windows.get(window));
+
+        this._windows.delete(window);
+
+        const itemIndex = this._items.findIndex(item => item.window === window);
+
+        if (itemIndex >= 0) {
+
+            const [item] = this._items.splice(itemIndex, 1);
+
+            if (item === this._selectedItem) {
+                this._selectedItem = null;
+            }
+
+            item.destroy();
+        }
+
+        if (!this._items.length) {
+            this.destroy();
+            return;
+        }
+
+        this._layoutItems();
+    }
+
+    _layoutItems() {
+
+        this._visibleItems = this._items.filter(item => item.matches(this._filter));
+
+        for (let i = 0, l = this._items.length; i < l; ++i) {
+            this._items[i].actor.visible = this._visibleItems.includes(this._items[i]);
+        }
+
+        // keep the selection within the filtered windows
+        if (!this._visibleItems.includes(this._selectedItem)) {
+            this._selectItem(this._visibleItems[0]);
+        }
+
+        const count = this._visibleItems.length;
+
+        if (!count) {
+            return;
+        }
+
+        // use the most square grid for the windows
+        const columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+
+        const cellWidth = Math.floor(
+            (this._actor.width - SPREAD_PADDING * 2 - ITEM_SPACING * (columns - 1)) / columns
+        );
+        const cellHeight = Math.floor(
+            (this._actor.height - SPREAD_PADDING * 2 - ITEM_SPACING * (rows - 1)) / rows
+        );
+
+        this._columns = columns;
+
+        for (let i = 0; i < count; ++i) {
+
+            const row = Math.floor(i / columns);
+            const column = i % columns;
+
+            // center the last row when it isn't full
+            const rowColumns = row === rows - 1 ? count - row * columns : columns;
+            const rowOffset = Math.floor((columns - rowColumns) * (cellWidth + ITEM_SPACING) / 2);
+
+            this._visibleItems[i].allocate(
+                SPREAD_PADDING + rowOffset + column * (cellWidth + ITEM_SPACING),
+                SPREAD_PADDING + row * (cellHeight + ITEM_SPACING),
+                cellWidth,
+                cellHeight
+            );
+        }
+    }
+
+    _selectItem(item) {
+
+        this._selectedItem?.setSelected(false);
+
+        this._selectedItem = item || null;
+
+        this._selectedItem?.setSelected(true);
+    }
+
+    _moveSelection(step) {
+
+        const count = this._visibleItems.length;
+
+        if (!count) {
+            return;
+        }
+
+        const index = this._visibleItems.indexOf(this._selectedItem);
+
+        this._selectItem(this._visibleItems[Math.clamp(index + step, 0, count - 1)]);
+    }
+
+    _activateItem(item) {
+
+        if (!item) {
+            return;
+        }
+
+        const window = item.window;
+
+        this.destroy();
+
+        Main.activateWindow(window);
+    }
+
+    _setFilter(filter) {
+
+        this._filter = filter;
+
+        this._filterLabel.text = filter;
+        this._filterLabel.visible = filter.length > 0;
+
+        this._layoutItems();
+    }
+
+    _handleKeyPress(event) {
+
+        const symbol = event.get_key_symbol();
+
+        switch (symbol) {
+
+            case Clutter.KEY_Escape:
+
+                // the first Escape clears the filter
+                if (this._filter) {
+                    this._setFilter('');
+                } else {
+                    this.destroy();
+                }
+
+                return Clutter.EVENT_STOP;
+
+            case Clutter.KEY_Return:
+            case Clutter.KEY_KP_Enter:
+                this._activateItem(this._selectedItem);
+                return Clutter.EVENT_STOP;
+
+            case Clutter.KEY_Left:
+            case Clutter.KEY_ISO_Left_Tab:
+                this._moveSelection(-1);
+                return Clutter.EVENT_STOP;
+
+            case Clutter.KEY_Right:
+            case Clutter.KEY_Tab:
+                this._moveSelection(1);
+                return Clutter.EVENT_STOP;
+
+            case Clutter.KEY_Up:
+                this._moveSelection(-this._columns);
+                return Clutter.EVENT_STOP;
+
+            case Clutter.KEY_Down:
+                this._moveSelection(this._columns);
+                return Clutter.EVENT_STOP;
+
+            case Clutter.KEY_BackSpace:
+                this._setFilter(this._filter.slice(0, -1));
+                return Clutter.EVENT_STOP;
+
+        }
+
+        const modifiers = event.get_state() & (Clutter.ModifierType.CONTROL_MASK | Clutter.ModifierType.MOD1_MASK);
+        const unicode = event.get_key_unicode();
+
+        // printable characters filter windows by title
+        if (!modifiers && unicode >= ' ' && unicode !== '\x7f') {
+            this._setFilter(this._filter + unicode);
+            return Clutter.EVENT_STOP;
+        }
+
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    //#endregion private methods
+
+}
\ No newline at end of file
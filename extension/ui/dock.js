@@ -0,0 +1,422 @@
+/* exported Dock */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { PressureBarrier } from 'resource:///org/gnome/shell/ui/layout.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { Intellihide } from '../utils/intellihide.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const ANIMATION_DURATION = 200;
+const HIDE_DELAY = 500;
+const PRESSURE_TIMEOUT = 1000;
+
+/**
+ * A dock owned by Rocketbar at the bottom, left or right side of the primary monitor
+ * mimics the boxes of the Main panel to be used by PositionProvider
+ */
+export const Dock = GObject.registerClass(
+    class Rocketbar__Dock extends St.BoxLayout {
+
+        //#region public methods
+
+        constructor(settings) {
+
+            super({
+                name: 'rocketbarDock',
+                style_class: 'rocketbar__dock',
+                reactive: true,
+                track_hover: true
+            });
+
+            // the dock replaces the Main panel for the taskbar of the primary monitor
+            this.isPrimary = true;
+
+            this._settings = settings;
+            this._isHidden = false;
+            this._positionStyle = null;
+
+            this._leftBox = new St.BoxLayout({ name: 'panelLeft' });
+            this._centerBox = new St.BoxLayout({ name: 'panelCenter' });
+            this._rightBox = new St.BoxLayout({ name: 'panelRight' });
+
+            this.add_actor(this._leftBox);
+            this.add_actor(this._centerBox);
+            this.add_actor(this._rightBox);
+
+            this._createConnections();
+
+            this._handleSettings();
+        }
+
+        get monitorIndex() {
+            return Main.layoutManager.primaryIndex;
+        }
+
+        //#endregion public methods
+
+        //#region private methods
+
+        _createConnections() {
+
+            this.connect('destroy', () => this._destroy());
+            this.connect('notify::hover', () => this._updateVisibility());
+            // the size of the dock depends on the taskbar
+            this.connect('notify::width', () => this._updatePosition());
+            this.connect('notify::height', () => this._updatePosition());
+
+            this._connections = new Connections();
+            this._connections.add(Main.layoutManager, 'monitors-changed', () => this._handleMonitors());
+            this._connections.add(Main.layoutManager.panelBox, 'notify::height', () => this._updatePosition());
+            this._connections.addScope(this._settings, [
+                'changed::dock-position',
+                'changed::dock-hide-mode',
+                'changed::dock-pressure-threshold'], () => this._handleSettings());
+        }
+
+        _handleSettings() {
+
+            const oldConfig = this._config || {};
+
+            this._config = {
+                // bottom, left or right
+                position: this._settings.get_string('dock-position'),
+                // none, intellihide or autohide
+                hideMode: this._settings.get_string('dock-hide-mode'),
+                pressureThreshold: this._settings.get_int('dock-pressure-threshold')
+            };
+
+            if (this._config.position !== oldConfig.position) {
+                this._updateOrientation();
+            }
+
+            // struts are defined when the dock is added to the chrome
+            if (this._config.hideMode !== oldConfig.hideMode) {
+                this._addChrome();
+                this._toggleWindowTracking();
+            }
+
+            if (this._config.position !== oldConfig.position ||
+                    this._config.hideMode !== oldConfig.hideMode ||
+                        this._config.pressureThreshold !== oldConfig.pressureThreshold) {
+                this._updatePosition();
+                this._updateBarrier();
+                this._updateVisibility();
+            }
+        }
+
+        _addChrome() {
+
+            if (this.get_parent()) {
+                Main.layoutManager.removeChrome(this);
+            }
+
+            // the dock reserves space for itself only when it is always visible
+            Main.layoutManager.addChrome(this, {
+                affectsStruts: this._config.hideMode === 'none',
+                trackFullscreen: true
+            });
+        }
+
+        _updateOrientation() {
+
+            const isVertical = this._config.position !== 'bottom';
+
+            this.vertical = isVertical;
+
+            // the taskbar follows the orientation of its parent box
+            for (const box of [this._leftBox, this._centerBox, this._rightBox]) {
+                box.vertical = isVertical;
+            }
+
+            this._leftBox.x_expand = !isVertical;
+            this._leftBox.y_expand = isVertical;
+            this._rightBox.x_expand = !isVertical;
+            this._rightBox.y_expand = isVertical;
+            this._rightBox.x_align = isVertical ? Clutter.ActorAlign.FILL : Clutter.ActorAlign.END;
+            this._rightBox.y_align = isVertical ? Clutter.ActorAlign.END : Clutter.ActorAlign.FILL;
+
+            if (this._positionStyle) {
+                this.remove_style_class_name(this._positionStyle);
+            }
+
+            this._positionStyle = `rocketbar__dock_${this._config.position}`;
+
+            this.add_style_class_name(this._positionStyle);
+        }
+
+        _handleMonitors() {
+            this._updatePosition();
+            this._updateBarrier();
+        }
+
+        _updatePosition() {
+
+            const monitor = Main.layoutManager.primaryMonitor;
+
+            if (!monitor || !this._config) {
+                return;
+            }
+
+            // side docks are displayed under the Main panel
+            const panelBox = Main.layoutManager.panelBox;
+            const topOffset = (
+                panelBox.visible && panelBox.y <= monitor.y ?
+                panelBox.height :
+                0
+            );
+
+            switch (this._config.position) {
+
+                case 'left':
+                case 'right':
+                    // the width depends on the taskbar
+                    this.set_size(-1, monitor.height - topOffset);
+                    this.set_position(
+                        this._config.position === 'left' ?
+                        monitor.x :
+                        monitor.x + monitor.width - this.width,
+                        monitor.y + topOffset
+                    );
+                    break;
+
+                default:
+                    // the height depends on the taskbar
+                    this.set_size(monitor.width, -1);
+                    this.set_position(monitor.x, monitor.y + monitor.height - this.height);
+                    break;
+
+            }
+
+            // keep the dock out of the screen
+            if (this._isHidden) {
+                this._setTranslation(true, false);
+            }
+        }
+
+        //#region visibility
+
+        _updateVisibility() {
+
+            if (this._config.hideMode === 'none') {
+                this._stopHide();
+                this._show();
+                return;
+            }
+
+            if (this.hover || !this._shouldHide()) {
+
+                this._stopHide();
+                this._show();
+
+                // menus are closed without notifying the dock
+                if (!this.hover && Main.panel.menuManager.activeMenu) {
+                    this._queueHide();
+                }
+
+                return;
+            }
+
+            this._queueHide();
+        }
+
+        _shouldHide() {
+
+            // keep the dock while its menus are open
+            if (Main.panel.menuManager.activeMenu) {
+                return false;
+            }
+
+            if (this._config.hideMode === 'autohide') {
+                return true;
+            }
+
+            return !!this._intellihide?.hasOverlappingWindows(this, this.monitorIndex);
+        }
+
+        _queueHide() {
+
+            if (this._isHidden || this._hideTimeout) {
+                return;
+            }
+
+            this._hideTimeout = Timeout.default(HIDE_DELAY).run(() => {
+
+                this._hideTimeout = null;
+
+                // the state could be changed in the meantime
+                if (this.hover || !this._shouldHide()) {
+
+                    // check again until menus are closed
+                    if (Main.panel.menuManager.activeMenu) {
+                        this._queueHide();
+                    }
+
+                    return;
+                }
+
+                this._hide();
+            });
+        }
+
+        _stopHide() {
+            this._hideTimeout?.destroy();
+            this._hideTimeout = null;
+        }
+
+        _show() {
+
+            if (!this._isHidden) {
+                return;
+            }
+
+            this._isHidden = false;
+
+            this._setTranslation(false, true);
+        }
+
+        _hide() {
+
+            if (this._isHidden) {
+                return;
+            }
+
+            this._isHidden = true;
+
+            this._setTranslation(true, true);
+        }
+
+        _setTranslation(hidden, animation) {
+
+            const [translationX, translationY] = (
+                !hidden ?
+                [0, 0] :
+                this._config.position === 'left' ?
+                [-this.width, 0] :
+                this._config.position === 'right' ?
+                [this.width, 0] :
+                [0, this.height]
+            );
+
+            this.remove_all_transitions();
+
+            if (!animation) {
+                this.set_translation(translationX, translationY, 0);
+                return;
+            }
+
+            this.ease({
+                translation_x: translationX,
+                translation_y: translationY,
+                duration: ANIMATION_DURATION,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD
+            });
+        }
+
+        //#endregion visibility
+
+        //#region intellihide
+
+        _toggleWindowTracking() {
+
+            if (this._config.hideMode === 'intellihide' && !this._intellihide) {
+                this._intellihide = new Intellihide(() => this._updateVisibility());
+            } else if (this._config.hideMode !== 'intellihide' && this._intellihide) {
+                this._intellihide.destroy();
+                this._intellihide = null;
+            }
+        }
+
+        //#endregion intellihide
+
+        //#region autohide
+
+        _updateBarrier() {
+
+            this._destroyBarrier();
+
+            const monitor = Main.layoutManager.primaryMonitor;
+
+            if (this._config.hideMode !== 'autohide' || !monitor) {
+                return;
+            }
+
+            this._pressureBarrier = new PressureBarrier(
+                this._config.pressureThreshold,
+                PRESSURE_TIMEOUT,
+                Shell.ActionMode.NORMAL
+            );
+
+            this._pressureBarrier.connect('trigger', () => {
+                this._stopHide();
+                this._show();
+                // hide the dock again if the pointer doesn't move to it
+                this._updateVisibility();
+            });
+
+            const [x1, y1, x2, y2, directions] = (
+                this._config.position === 'left' ?
+                [monitor.x, monitor.y, monitor.x, monitor.y + monitor.height, Meta.BarrierDirection.POSITIVE_X] :
+                this._config.position === 'right' ?
+                [
+                    monitor.x + monitor.width, monitor.y,
+                    monitor.x + monitor.width, monitor.y + monitor.height,
+                    Meta.BarrierDirection.NEGATIVE_X
+                ] :
+                [
+                    monitor.x, monitor.y + monitor.height,
+                    monitor.x + monitor.width, monitor.y + monitor.height,
+                    Meta.BarrierDirection.NEGATIVE_Y
+                ]
+            );
+
+            this._barrier = new Meta.Barrier({
+                display: global.display,
+                x1, y1, x2, y2,
+                directions
+            });
+
+            this._pressureBarrier.addBarrier(this._barrier);
+        }
+
+        _destroyBarrier() {
+
+            if (this._barrier) {
+                this._pressureBarrier?.removeBarrier(this._barrier);
+                this._barrier.destroy();
+                this._barrier = null;
+            }
+
+            this._pressureBarrier?.destroy();
+            this._pressureBarrier = null;
+        }
+
+        //#endregion autohide
+
+        _destroy() {
+
+            this._stopHide();
+
+            this._intellihide?.destroy();
+            this._intellihide = null;
+
+            this._destroyBarrier();
+
+            this._connections.destroy();
+            this._connections = null;
+        }
+
+        //#endregion private methods
+
+    }
+);
\ No newline at end of file
@@ -0,0 +1,100 @@
+/* exported MonitorPanel */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+//#endregion imports
+
+/**
+ * A simple panel for secondary monitors
+ * mimics the boxes of the Main panel to be used by PositionProvider
+ */
+export const MonitorPanel = GObject.registerClass(
+    class Rocketbar__MonitorPanel extends St.BoxLayout {
+
+        //#region public methods
+
+        constructor(monitorIndex) {
+
+            super({
+                // reuse styles of the Main panel
+                name: 'panel',
+                style_class: 'rocketbar__monitor-panel',
+                reactive: true
+            });
+
+            this.monitorIndex = monitorIndex;
+
+            this._leftBox = new St.BoxLayout({
+                name: 'panelLeft',
+                x_expand: true
+            });
+
+            this._centerBox = new St.BoxLayout({
+                name: 'panelCenter'
+            });
+
+            this._rightBox = new St.BoxLayout({
+                name: 'panelRight',
+                x_expand: true,
+                x_align: Clutter.ActorAlign.END
+            });
+
+            this.add_actor(this._leftBox);
+            this.add_actor(this._centerBox);
+            this.add_actor(this._rightBox);
+
+            Main.layoutManager.addChrome(this, {
+                affectsStruts: true,
+                trackFullscreen: true
+            });
+
+            this.updatePosition();
+        }
+
+        updatePosition() {
+
+            const monitor = Main.layoutManager.monitors[this.monitorIndex];
+
+            if (!monitor) {
+                return;
+            }
+
+            const height = Main.panel.height;
+
+            this.set_size(monitor.width, height);
+
+            // follow the position of the Main panel
+            this.set_position(
+                monitor.x,
+                this._isMainPanelOnBottom() ?
+                monitor.y + monitor.height - height :
+                monitor.y
+            );
+        }
+
+        //#endregion public methods
+
+        //#region private methods
+
+        _isMainPanelOnBottom() {
+
+            const primaryMonitor = Main.layoutManager.primaryMonitor;
+
+            if (!primaryMonitor) {
+                return false;
+            }
+
+            const [, y] = Main.panel.get_transformed_position();
+
+            return y > primaryMonitor.y + primaryMonitor.height / 2;
+        }
+
+        //#endregion private methods
+
+    }
+);
\ No newline at end of file
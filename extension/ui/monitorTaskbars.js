@@ -0,0 +1,98 @@
+/* exported MonitorTaskbars */
+
+//#region imports
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// custom modules import
+import { MonitorPanel } from './monitorPanel.js';
+import { Taskbar } from './taskbar.js';
+import { Connections } from '../utils/connections.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+/**
+ * Creates taskbars for secondary monitors
+ * the taskbar of the primary monitor is placed in the Main panel or in the dock
+ */
+export class MonitorTaskbars {
+
+    //#region public methods
+
+    constructor(settings, iconProvider) {
+
+        this._settings = settings;
+        this._iconProvider = iconProvider;
+        this._panels = []; // [MonitorPanel...]
+
+        this._connections = new Connections();
+        this._connections.add(this._settings, 'changed::taskbar-all-monitors', () => this._rebuild());
+        this._connections.add(Main.layoutManager, 'monitors-changed', () => this._queueRebuild());
+
+        this._rebuild();
+    }
+
+    destroy() {
+
+        this._rebuildTimeout?.destroy();
+        this._rebuildTimeout = null;
+
+        this._connections.destroy();
+        this._connections = null;
+
+        this._destroyPanels();
+    }
+
+    //#endregion public methods
+
+    //#region private methods
+
+    _queueRebuild() {
+
+        this._rebuildTimeout?.destroy();
+
+        // monitors are changed in bursts when plugging or unplugging
+        this._rebuildTimeout = Timeout.idle(500).run(() => {
+            this._rebuildTimeout = null;
+            this._rebuild();
+        });
+    }
+
+    _rebuild() {
+
+        this._destroyPanels();
+
+        if (!this._settings.get_boolean('taskbar-all-monitors')) {
+            return;
+        }
+
+        const monitors = Main.layoutManager.monitors;
+
+        for (let i = 0, l = monitors.length; i < l; ++i) {
+
+            if (i === Main.layoutManager.primaryIndex) {
+                continue;
+            }
+
+            const panel = new MonitorPanel(i);
+
+            // the taskbar is destroyed together with the panel
+            new Taskbar(this._settings, this._iconProvider, panel);
+
+            this._panels.push(panel);
+        }
+    }
+
+    _destroyPanels() {
+
+        for (let i = 0, l = this._panels.length; i < l; ++i) {
+            this._panels[i].destroy();
+        }
+
+        this._panels = [];
+    }
+
+    //#endregion private methods
+
+}
\ No newline at end of file
@@ -0,0 +1,498 @@
+/* exported PinGroupButton */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as BoxPointer from 'resource:///org/gnome/shell/ui/boxpointer.js';
+import { PopupMenu,
+    PopupBaseMenuItem,
+    PopupSeparatorMenuItem } from 'resource:///org/gnome/shell/ui/popupMenu.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { PositionProvider } from '../utils/positionProvider.js';
+
+//#endregion imports
+
+// max number of icons displayed in the stacked icon
+const STACKED_ICONS_COUNT = 3;
+// number of columns in the popup grid
+const GRID_COLUMNS = 4;
+const GRID_ICON_SIZE = 48;
+
+class PinGroupMenu extends PopupMenu {
+
+    constructor(pinGroupButton, pinGroups) {
+
+        super(pinGroupButton, 0.5, St.Side.TOP);
+
+        this._pinGroupButton = pinGroupButton;
+        this._pinGroups = pinGroups;
+
+        this.blockSourceEvents = true;
+
+        this.actor.add_style_class_name('panel-menu rocketbar__popup-menu');
+
+        this._createItems();
+
+        Main.uiGroup.add_actor(this.actor);
+
+        this.actor.hide();
+
+        Main.panel.menuManager.addMenu(this);
+    }
+
+    open() {
+
+        this._populate();
+
+        // set position based on location of the button
+        this.actor._arrowSide = PositionProvider.getMonitorSide(this._pinGroupButton, this._pinGroupButton.isVertical);
+
+        super.open(BoxPointer.PopupAnimation.FULL);
+    }
+
+    _createItems() {
+
+        // the grid of apps in the folder
+        this._gridItem = new PopupBaseMenuItem({
+            activate: false,
+            can_focus: false,
+            style_class: 'rocketbar__pin-group-grid-item'
+        });
+
+        this._grid = new St.Widget({
+            layout_manager: new Clutter.GridLayout({
+                column_homogeneous: true,
+                row_homogeneous: true
+            }),
+            x_expand: true
+        });
+
+        this._gridItem.add_child(this._grid);
+
+        this.addMenuItem(this._gridItem);
+
+        this.addMenuItem(new PopupSeparatorMenuItem());
+
+        // rename the folder
+        const renameItem = new PopupBaseMenuItem({
+            activate: false,
+            can_focus: false
+        });
+
+        this._nameEntry = new St.Entry({
+            style_class: 'rocketbar__pin-group-name',
+            hint_text: _('Folder name'),
+            can_focus: true,
+            x_expand: true
+        });
+
+        this._nameEntry.clutter_text.connect('activate', () => {
+            this._pinGroups.renameGroup(this._pinGroupButton.buttonId, this._nameEntry.text.trim());
+            this.close();
+        });
+
+        renameItem.add_child(this._nameEntry);
+
+        this.addMenuItem(renameItem);
+
+        this.addAction(_('Ungroup'), () => this._pinGroups.deleteGroup(this._pinGroupButton.buttonId));
+    }
+
+    _populate() {
+
+        this._grid.destroy_all_children();
+
+        this._nameEntry.text = this._pinGroupButton.group?.name || '';
+
+        const gridLayout = this._grid.layout_manager;
+        const apps = this._pinGroupButton.apps;
+
+        for (let i = 0, l = apps.length; i < l; ++i) {
+            gridLayout.attach(this._createAppItem(apps[i]), i % GRID_COLUMNS, Math.floor(i / GRID_COLUMNS), 1, 1);
+        }
+    }
+
+    _createAppItem(app) {
+
+        const content = new St.BoxLayout({
+            vertical: true,
+            x_align: Clutter.ActorAlign.CENTER
+        });
+
+        content.add_child(app.create_icon_texture(GRID_ICON_SIZE));
+
+        const label = new St.Label({
+            text: app.get_name(),
+            x_align: Clutter.ActorAlign.CENTER
+        });
+
+        content.add_child(label);
+
+        const appItem = new St.Button({
+            style_class: 'rocketbar__pin-group-app',
+            can_focus: true,
+            reactive: true,
+            button_mask: St.ButtonMask.ONE | St.ButtonMask.TWO,
+            child: content
+        });
+
+        appItem.connect('clicked', (actor, button) => {
+
+            this.close();
+
+            Main.overview.hide();
+
+            // open a new window by middle click
+            if (button === Clutter.BUTTON_MIDDLE && app.can_open_new_window()) {
+                app.open_new_window(-1);
+                return;
+            }
+
+            app.activate();
+        });
+
+        return appItem;
+    }
+
+}
+
+export const PinGroupButton = GObject.registerClass(
+    class Rocketbar__PinGroupButton extends St.Button {
+
+        //#region public methods
+
+        constructor({ group, apps, monitorIndex }, settings, pinGroups, stateHandler) {
+
+            super({
+                name: 'taskbar-appButton',
+                reactive: true,
+                can_focus: true,
+                button_mask: St.ButtonMask.ONE | St.ButtonMask.THREE,
+                opacity: 0
+            });
+
+            // set public properties
+            this.group = group;
+            this.apps = apps; // [Shell.App...]
+            this.buttonId = group.id;
+            this.appId = null;
+            this.isFavorite = true;
+            this.monitorIndex = monitorIndex ?? -1;
+            this.isVertical = false;
+
+            // set private properties
+            this._settings = settings;
+            this._pinGroups = pinGroups;
+            this._stateHandler = stateHandler;
+            this._delegate = this;
+
+            this._createLayout();
+
+            this._createConnections();
+
+            this._handleSettings();
+        }
+
+        get appIds() {
+            return this.apps.map(app => app.id);
+        }
+
+        setParent(parent, position, animation) {
+
+            if (!parent) {
+                return;
+            }
+
+            parent.insert_child_at_index(this, position);
+
+            if (!animation) {
+                this.opacity = 255;
+                return;
+            }
+
+            this.ease({
+                opacity: 255,
+                duration: 300,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD
+            });
+        }
+
+        setPosition(position) {
+
+            const parent = this.get_parent();
+
+            if (!parent) {
+                return;
+            }
+
+            this.remove_all_transitions();
+
+            parent.set_child_at_index(this, position);
+        }
+
+        setVertical(vertical) {
+
+            if (this.isVertical === vertical) {
+                return;
+            }
+
+            this.isVertical = vertical;
+
+            this._updateStyle();
+        }
+
+        setGroup(group, apps) {
+
+            const appIds = this.appIds.join();
+
+            this.group = group;
+            this.apps = apps;
+
+            // redraw the stacked icon only when apps are changed
+            if (appIds !== this.appIds.join()) {
+                this._updateIcon();
+            }
+        }
+
+        rerender() {
+            this.accessible_name = this.group?.name || '';
+        }
+
+        /*
+         * Folders are activated by opening the popup with their apps
+         */
+        activate() {
+
+            if (this._menu?.isOpen) {
+                return;
+            }
+
+            this._toggleMenu();
+        }
+
+        /*
+         * Display the number of the hotkey to open the folder, null to hide it
+         */
+        setHotkeyNumber(number) {
+
+            if (!number) {
+                this._hotkeyLabel?.destroy();
+                this._hotkeyLabel = null;
+                return;
+            }
+
+            if (!this._hotkeyLabel) {
+
+                this._hotkeyLabel = new St.Label({
+                    name: 'taskbar-appButton-hotkey',
+                    style_class: 'rocketbar__hotkey-number',
+                    x_expand: true,
+                    y_expand: true,
+                    x_align: Clutter.ActorAlign.START,
+                    y_align: Clutter.ActorAlign.START
+                });
+
+                this._layout.add_actor(this._hotkeyLabel);
+            }
+
+            this._hotkeyLabel.text = `${number}`;
+        }
+
+        setDropHighlight(highlight) {
+
+            if (highlight) {
+                this._appIcon.add_style_pseudo_class('drop');
+                return;
+            }
+
+            this._appIcon.remove_style_pseudo_class('drop');
+        }
+
+        //#endregion public methods
+
+        //#region private methods
+
+        _createLayout() {
+
+            this._appIcon = new St.Bin({
+                name: 'taskbar-appButton-icon',
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER,
+                style_class: 'panel-button rocketbar__button rocketbar__pin-group'
+            });
+
+            this.bind_property('hover', this._appIcon, 'hover', GObject.BindingFlags.SYNC_CREATE);
+
+            this._iconStack = new Clutter.Actor({
+                name: 'taskbar-appButton-icon-stack',
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER
+            });
+
+            this._appIcon.set_child(this._iconStack);
+
+            this._layout = new Clutter.Actor({
+                name: 'taskbar-appButton-layout',
+                layout_manager: new Clutter.BinLayout(),
+                y_expand: true,
+                y_align: Clutter.ActorAlign.FILL
+            });
+
+            this._layout.add_actor(this._appIcon);
+
+            this.set_child(this._layout);
+        }
+
+        _createConnections() {
+            this.connect('clicked', () => this._toggleMenu());
+            this.connect('destroy', () => this._destroy());
+            this.connect('key-focus-in', () => this._focus());
+            this.connect('key-focus-out', () => this._focus());
+            this.connect('key-press-event', (actor, event) => this._keyPress(event));
+            this._connections = new Connections();
+            this._connections.addScope(this._settings, [
+                'changed::appbutton-icon-size',
+                'changed::appbutton-icon-padding',
+                'changed::appbutton-icon-vertical-padding',
+                'changed::appbutton-spacing',
+                'changed::appbutton-roundness'
+            ], () => this._handleSettings());
+        }
+
+        _handleSettings() {
+
+            this._config = {
+                iconSize: this._settings.get_int('appbutton-icon-size'),
+                iconPadding: this._settings.get_int('appbutton-icon-padding'),
+                iconVerticalPadding: this._settings.get_int('appbutton-icon-vertical-padding'),
+                spacing: this._settings.get_int('appbutton-spacing'),
+                roundness: this._settings.get_int('appbutton-roundness')
+            };
+
+            this._updateStyle();
+
+            this._updateIcon();
+        }
+
+        _updateStyle() {
+
+            this.style = (
+                this.isVertical ?
+                `margin-top: ${this._config.spacing}px; margin-bottom: ${this._config.spacing}px;` :
+                `margin-left: ${this._config.spacing}px; margin-right: ${this._config.spacing}px;`
+            );
+
+            this._appIcon.style = (
+                `width: ${this._config.iconSize + this._config.iconPadding * 2}px;` +
+                `height: ${this._config.iconSize + this._config.iconVerticalPadding * 2}px;` +
+                `border-radius: ${this._config.roundness}px;`
+            );
+        }
+
+        _updateIcon() {
+
+            this._iconStack.destroy_all_children();
+
+            const iconSize = this._config.iconSize;
+            const apps = this.apps.slice(0, STACKED_ICONS_COUNT);
+
+            // icons are shifted diagonally to look like a stack
+            const stackedIconSize = Math.round(iconSize * 0.7);
+            const offset = apps.length > 1 ? Math.floor((iconSize - stackedIconSize) / (apps.length - 1)) : 0;
+
+            this._iconStack.set_size(iconSize, iconSize);
+
+            // the first app is displayed on top
+            for (let i = apps.length - 1; i >= 0; --i) {
+
+                const icon = apps[i].create_icon_texture(stackedIconSize);
+
+                icon.set_position(offset * i, offset * i);
+
+                this._iconStack.add_child(icon);
+            }
+        }
+
+        _toggleMenu() {
+
+            if (!this._menu) {
+                this._menu = new PinGroupMenu(this, this._pinGroups);
+            }
+
+            this._menu.toggle();
+        }
+
+        _focus() {
+
+            if (!this.has_key_focus()) {
+                this._appIcon.remove_style_pseudo_class('focus');
+                return;
+            }
+
+            this._appIcon.add_style_pseudo_class('focus');
+
+            this._triggerState('focus');
+        }
+
+        _keyPress(event) {
+
+            // Enter and Space are handled by the button the same way as clicks
+            switch (event.get_key_symbol()) {
+
+                case Clutter.KEY_Left:
+                case Clutter.KEY_Up:
+                    this._triggerState('focus-previous');
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_Right:
+                case Clutter.KEY_Down:
+                    this._triggerState('focus-next');
+                    return Clutter.EVENT_STOP;
+
+                case Clutter.KEY_Escape:
+                    this._triggerState('focus-return');
+                    return Clutter.EVENT_STOP;
+            }
+
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        _triggerState(state) {
+
+            if (!state || !this._stateHandler) {
+                return;
+            }
+
+            this._stateHandler(this, state);
+        }
+
+        _destroy() {
+
+            this.remove_all_transitions();
+
+            if (this._stateHandler) {
+                this._stateHandler(this, 'destroy');
+            }
+
+            this._hotkeyLabel = null;
+
+            this._connections.destroy();
+            this._connections = null;
+
+            this._menu?.destroy();
+            this._menu = null;
+
+            this.group = null;
+            this.apps = [];
+            this._pinGroups = null;
+        }
+
+        //#endregion private methods
+
+    }
+);
\ No newline at end of file
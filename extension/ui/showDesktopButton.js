@@ -0,0 +1,259 @@
+/* exported ShowDesktopButton */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { PositionProvider } from '../utils/positionProvider.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const PEEK_DELAY = 500;
+const PEEK_ANIMATION_DURATION = 200;
+
+/**
+ * Minimizes all windows of the active workspace and restores them by the next click
+ * windows become transparent while the button is hovered
+ */
+export const ShowDesktopButton = GObject.registerClass(
+    class Rocketbar__ShowDesktopButton extends St.Button {
+
+        //#region public methods
+
+        constructor(settings, panel) {
+
+            super({
+                name: 'taskbar-showDesktopButton',
+                style_class: 'panel-button rocketbar__button rocketbar__show-desktop-button',
+                reactive: true,
+                can_focus: true,
+                track_hover: true,
+                y_align: Clutter.ActorAlign.CENTER,
+                accessible_name: _('Show Desktop')
+            });
+
+            this.set_child(new St.Icon({
+                icon_name: 'user-desktop-symbolic',
+                style_class: 'system-status-icon'
+            }));
+
+            // set public properties
+            this.isVertical = false;
+
+            // set private properties
+            this._settings = settings;
+            this._minimizedWindows = null; // [Meta.Window...]
+            this._peekedWindows = null; // [Meta.Window...]
+            this._positionProvider = new PositionProvider(this, panel);
+
+            this._createConnections();
+
+            this._handleSettings();
+        }
+
+        setPosition(position, offset) {
+            this._positionProvider.setPosition(position, offset);
+        }
+
+        togglePositionLock(locked) {
+            this._positionProvider.togglePositionLock(locked);
+        }
+
+        setVertical(vertical) {
+
+            this.isVertical = vertical;
+
+            this.x_align = vertical ? Clutter.ActorAlign.CENTER : Clutter.ActorAlign.FILL;
+            this.y_align = vertical ? Clutter.ActorAlign.FILL : Clutter.ActorAlign.CENTER;
+        }
+
+        //#endregion public methods
+
+        //#region private methods
+
+        _createConnections() {
+            this.connect('clicked', () => this._toggleDesktop());
+            this.connect('notify::hover', () => this._handleHover());
+            this.connect('destroy', () => this._destroy());
+            this._connections = new Connections();
+            // the remembered windows are not restored after other changes made by the user
+            this._connections.add(global.window_manager, 'switch-workspace', () => this._forgetWindows());
+            this._connections.add(global.display, 'notify::focus-window', () => this._handleFocusWindow());
+            this._connections.add(this._settings, 'changed::taskbar-show-desktop-peek', () => this._handleSettings());
+        }
+
+        _handleSettings() {
+
+            this._config = {
+                enablePeek: this._settings.get_boolean('taskbar-show-desktop-peek')
+            };
+
+            if (!this._config.enablePeek) {
+                this._stopPeek();
+            }
+        }
+
+        _getWorkspaceWindows() {
+
+            const windows = global.workspace_manager.get_active_workspace().list_windows().filter(window => (
+                !window.minimized &&
+                window.showing_on_its_workspace() &&
+                window.window_type !== Meta.WindowType.DESKTOP
+            ));
+
+            return global.display.sort_windows_by_stacking(windows);
+        }
+
+        //#region show desktop
+
+        _toggleDesktop() {
+
+            this._stopPeek(false);
+
+            if (this._minimizedWindows) {
+                this._restoreWindows();
+                return;
+            }
+
+            const windows = this._getWorkspaceWindows().filter(window => window.can_minimize());
+
+            if (!windows.length) {
+                return;
+            }
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+                windows[i].minimize();
+            }
+
+            this._minimizedWindows = windows;
+        }
+
+        _restoreWindows() {
+
+            // windows could be closed or unminimized in the meantime
+            const windows = this._minimizedWindows.filter(window => (
+                window.get_compositor_private() && window.minimized
+            ));
+
+            this._minimizedWindows = null;
+
+            if (!windows.length) {
+                return;
+            }
+
+            // restore the stacking order of the windows
+            for (let i = 0, l = windows.length; i < l; ++i) {
+                windows[i].unminimize();
+            }
+
+            Main.activateWindow(windows[windows.length - 1]);
+        }
+
+        _forgetWindows() {
+            this._minimizedWindows = null;
+        }
+
+        _handleFocusWindow() {
+
+            const window = global.display.focus_window;
+
+            // the user has activated a window after showing the desktop
+            if (window && !window.minimized && window.window_type !== Meta.WindowType.DESKTOP) {
+                this._forgetWindows();
+            }
+        }
+
+        //#endregion show desktop
+
+        //#region peek
+
+        _handleHover() {
+
+            if (!this.hover || !this._config.enablePeek || this._minimizedWindows) {
+                this._stopPeek();
+                return;
+            }
+
+            if (this._peekTimeout) {
+                return;
+            }
+
+            this._peekTimeout = Timeout.default(PEEK_DELAY).run(() => {
+                this._peekTimeout = null;
+                this._peek();
+            });
+        }
+
+        _peek() {
+
+            this._peekedWindows = this._getWorkspaceWindows();
+
+            for (let i = 0, l = this._peekedWindows.length; i < l; ++i) {
+                this._setWindowOpacity(this._peekedWindows[i], 0, true);
+            }
+        }
+
+        _stopPeek(animation = true) {
+
+            this._peekTimeout?.destroy();
+            this._peekTimeout = null;
+
+            if (!this._peekedWindows) {
+                return;
+            }
+
+            for (let i = 0, l = this._peekedWindows.length; i < l; ++i) {
+                this._setWindowOpacity(this._peekedWindows[i], 255, animation);
+            }
+
+            this._peekedWindows = null;
+        }
+
+        _setWindowOpacity(window, opacity, animation) {
+
+            const windowActor = window.get_compositor_private();
+
+            if (!windowActor) {
+                return;
+            }
+
+            windowActor.remove_transition('opacity');
+
+            if (!animation) {
+                windowActor.opacity = opacity;
+                return;
+            }
+
+            windowActor.ease({
+                opacity: opacity,
+                duration: PEEK_ANIMATION_DURATION,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD
+            });
+        }
+
+        //#endregion peek
+
+        _destroy() {
+
+            this._stopPeek(false);
+
+            this._connections.destroy();
+            this._connections = null;
+
+            this._positionProvider.destroy();
+            this._positionProvider = null;
+
+            this._minimizedWindows = null;
+        }
+
+        //#endregion private methods
+
+    }
+);
\ No newline at end of file
@@ -12,8 +12,18 @@ import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
 
 // custom modules import
 import { AppButton } from './appButton.js';
+import { PinGroupButton } from './pinGroupButton.js';
+import { ShowDesktopButton } from './showDesktopButton.js';
+import { TaskbarHotkeys } from './taskbarHotkeys.js';
+import { TaskbarNavigation } from './taskbarNavigation.js';
+import { TaskbarOverflowButton } from './taskbarOverflowButton.js';
+import { WorkspaceSwitcher } from './workspaceSwitcher.js';
+import { DBusService } from '../services/dbusService.js';
+import { LaunchHandler } from '../services/launchService.js';
 import { Connections } from '../utils/connections.js';
 import { Favorites } from '../utils/favorites.js';
+import { PinGroups, PIN_GROUP_PREFIX } from '../utils/pinGroups.js';
+import { WorkspaceFavorites } from '../utils/workspaceFavorites.js';
 import { PositionProvider } from '../utils/positionProvider.js';
 import { Timeout } from '../utils/timeout.js';
 
@@ -26,13 +36,21 @@ export const Taskbar = GObject.registerClass(
 
         // save ids of running apps in the order they are placed in the taskbar
         // to restore position of the apps after unlocking user's session
-        static _runningAppsCache = null; // [appId...]
+        // cached separately for each monitor when taskbars are displayed on all monitors
+        static _runningAppsCache = null; // monitorIndex => [[buttonId...]...]
+
+        // the cache is also saved to settings to restore the order in the next session
+        static _saveRunningAppsCacheTimeout = null;
 
         //#endregion static
 
         //#region public methodss
 
-        constructor(settings, iconProvider) {
+        /*
+         * panel: optional MonitorPanel to display the taskbar on a secondary monitor
+         * or Dock to display it out of the Main panel
+         */
+        constructor(settings, iconProvider, panel = null) {
             // init scroll view
             super({
                 name: 'taskbar', 
@@ -43,24 +61,35 @@ export const Taskbar = GObject.registerClass(
             this.clip_to_allocation = true;
 
             // hide default app button in the panel
-            Main.panel.statusArea.appMenu?.container?.hide();
+            if (!panel) {
+                Main.panel.statusArea.appMenu?.container?.hide();
+            }
 
             // used by app buttons to stop any kind of updates
             this.isDestroying = false;
+            // app buttons are stacked vertically in side panels
+            this.isVertical = false;
 
             // set private properties
             this._delegate = this;
             this._settings = settings;
             this._iconProvider = iconProvider;
+            this._panel = panel;
+            // the taskbar of the primary monitor is displayed in the Main panel or in the dock
+            this._isPrimary = !panel || !!panel.isPrimary;
             this._isRendered = false; // for the first render execution
             this._currentWorkspace = null;
             this._activeAppButton = null;
+            this._overflowButton = null;
+            this._forceVertical = null;
             this._workId = null;
-            this._positionProvider = new PositionProvider(this);
+            this._fitButtonIds = null; // app buttons of the last fit
+            this._positionProvider = new PositionProvider(this, panel || Main.panel);
 
             // caches
             this._favoriteApps = null;
             this._taskbarApps = null;
+            this._mixedOrder = null; // the last order of mixed pinned and running apps
 
             // create layout
             this._createLayout();
@@ -73,6 +102,57 @@ export const Taskbar = GObject.registerClass(
 
             // init render
             this._initRender();
+
+            // allow to focus the taskbar of the primary monitor using keyboard
+            if (this._isPrimary) {
+                this._navigation = new TaskbarNavigation(this, this._settings);
+            }
+
+            // allow to control the taskbar via D-Bus
+            DBusService.instance().addTaskbar(this, this._settings);
+        }
+
+        getAppButtons() {
+            return this._layout.get_children().filter(actor => (
+                actor instanceof AppButton && actor.app
+            ));
+        }
+
+        /*
+         * App buttons and folders in the order of the taskbar
+         */
+        getTaskbarButtons() {
+            return this._layout.get_children().filter(actor => (
+                (actor instanceof AppButton && actor.app) || actor instanceof PinGroupButton
+            ));
+        }
+
+        getMonitorIndex() {
+            return this._getMonitorIndex();
+        }
+
+        /*
+         * Pin groups exist while pinned apps are displayed
+         */
+        getPinGroups() {
+            return this._pinGroups || null;
+        }
+
+        /*
+         * Workspace favorites exist while pinned apps per workspace are displayed
+         */
+        getWorkspaceFavorites() {
+            return this._workspaceFavorites || null;
+        }
+
+        /*
+         * vertical: true or false to set the orientation, null to follow the orientation of the parent
+         */
+        setVertical(vertical) {
+
+            this._forceVertical = vertical;
+
+            this._updateOrientation();
         }
 
         handleDragOver(source) {
@@ -95,10 +175,24 @@ export const Taskbar = GObject.registerClass(
             }
 
             if (source instanceof AppButton) {
+
+                const monitorIndex = this._getMonitorIndex();
+
+                // app buttons dropped from a taskbar of another monitor move their windows here
+                if (monitorIndex >= 0 && source.monitorIndex !== monitorIndex) {
+                    source.moveWindowsToMonitor(monitorIndex);
+                }
+
                 return true;
             }
 
-            if (this._favorites) {
+            if (this._workspaceFavorites) {
+                // apps dropped to the taskbar are pinned to the current workspace
+                this._workspaceFavorites.addApp(
+                    global.workspace_manager.get_active_workspace_index(),
+                    source.app.id
+                );
+            } else if (this._favorites) {
                 this._favorites.addApp(source.app.id);
             } else {
                 source.app.activate();
@@ -129,28 +223,99 @@ export const Taskbar = GObject.registerClass(
             
             // internal connections
             this.connect('destroy', () => this._destroy());
+            // labels of app buttons shrink when the taskbar doesn't fit into the panel
+            this.connect('notify::width', () => this._queueFitAppButtons(false));
+            this.connect('notify::height', () => this._queueFitAppButtons(false));
+            // side panels of other extensions use vertical boxes
+            this.connect('parent-set', () => this._handleParent());
             
             // create external connections
             this._connections = new Connections();
             this._connections.add(Main.layoutManager, 'startup-complete', () => this._initRender());
+            // the active app focuses its urgent windows, other apps draw attention
             this._connections.add(
                 global.display, 'window-demands-attention',
-                (display, window) => this._activeAppButton?.handleUrgentWindow(window)
+                (display, window) => this._handleUrgentWindow(window)
             );
-
-            // prevent default appMenu from displaying on the panel
             this._connections.add(
-                Main.panel.statusArea.appMenu?.container, 'notify::visible',
-                appMenu => appMenu?.hide()
+                global.display, 'window-marked-urgent',
+                (display, window) => this._handleUrgentWindow(window)
             );
 
+            // prevent default appMenu from displaying on the panel
+            if (!this._panel) {
+                this._connections.add(
+                    Main.panel.statusArea.appMenu?.container, 'notify::visible',
+                    appMenu => appMenu?.hide()
+                );
+            }
+
             // handle settings
             this._connections.addScope(this._settings, [
                 'changed::taskbar-show-favorites',
+                'changed::taskbar-workspace-favorites-mode',
                 'changed::taskbar-isolate-workspaces',
+                'changed::taskbar-ungroup-windows',
+                'changed::taskbar-all-monitors',
+                'changed::taskbar-enable-hotkeys',
+                'changed::taskbar-sort-mode',
+                'changed::taskbar-mix-pinned-apps',
+                'changed::taskbar-overflow-mode',
                 'changed::taskbar-position',
                 'changed::taskbar-position-offset',
-                'changed::taskbar-preserve-position'], () => this._handleSettings());
+                'changed::taskbar-preserve-position',
+                'changed::taskbar-show-desktop-button',
+                'changed::taskbar-workspace-switcher',
+                'changed::taskbar-show-launching-apps'], () => this._handleSettings());
+            this._connections.addScope(this._settings, [
+                'changed::appbutton-label-mode',
+                'changed::appbutton-label-max-width'], () => this._queueFitAppButtons(true));
+
+            // the taskbar could be placed into the panel already
+            this._handleParent();
+        }
+
+        _handleParent() {
+
+            if (this.isDestroying) {
+                return;
+            }
+
+            this._connections.remove('notify::vertical');
+            this._connections.add(this.get_parent(), 'notify::vertical', () => this._updateOrientation());
+
+            this._updateOrientation();
+        }
+
+        _updateOrientation() {
+
+            const isVertical = this._forceVertical ?? !!this.get_parent()?.vertical;
+
+            if (this.isVertical === isVertical) {
+                return;
+            }
+
+            this.isVertical = isVertical;
+
+            this._layout.vertical = isVertical;
+
+            this.set_policy(
+                isVertical ? St.PolicyType.NEVER : St.PolicyType.EXTERNAL,
+                isVertical ? St.PolicyType.EXTERNAL : St.PolicyType.NEVER
+            );
+
+            this.style_class = isVertical ? 'vfade' : 'hfade';
+
+            const layoutActors = this._layout.get_children();
+
+            for (let i = 0, l = layoutActors.length; i < l; ++i) {
+                layoutActors[i].setVertical?.(isVertical);
+            }
+
+            this._showDesktopButton?.setVertical(isVertical);
+            this._workspaceSwitcher?.setVertical(isVertical);
+
+            this._queueFitAppButtons(true);
         }
 
         _handleSettings() {
@@ -158,9 +323,31 @@ export const Taskbar = GObject.registerClass(
 
             this._setConfig();
 
+            // widgets are displayed next to the taskbar of the primary monitor
+            const showDesktopButton = this._isPrimary && this._config.showDesktopButton !== 'none';
+            const showWorkspaceSwitcher = this._isPrimary && this._config.workspaceSwitcher !== 'none';
+
+            if (showDesktopButton && !this._showDesktopButton) {
+                this._showDesktopButton = new ShowDesktopButton(this._settings, this._panel || Main.panel);
+                this._showDesktopButton.setVertical(this.isVertical);
+            } else if (!showDesktopButton && this._showDesktopButton) {
+                this._showDesktopButton.destroy();
+                this._showDesktopButton = null;
+            }
+
+            if (showWorkspaceSwitcher && !this._workspaceSwitcher) {
+                this._workspaceSwitcher = new WorkspaceSwitcher(this._settings, this._panel || Main.panel);
+                this._workspaceSwitcher.setVertical(this.isVertical);
+            } else if (!showWorkspaceSwitcher && this._workspaceSwitcher) {
+                this._workspaceSwitcher.destroy();
+                this._workspaceSwitcher = null;
+            }
+
             if (oldConfig.position !== this._config.position ||
                     oldConfig.positionOffset !== this._config.positionOffset ||
-                        (this._config.preservePosition && !oldConfig.preservePosition)) {
+                        oldConfig.showDesktopButton !== this._config.showDesktopButton ||
+                            oldConfig.workspaceSwitcher !== this._config.workspaceSwitcher ||
+                                (this._config.preservePosition && !oldConfig.preservePosition)) {
                 this._setParent();
             }
 
@@ -168,15 +355,75 @@ export const Taskbar = GObject.registerClass(
                 this._positionProvider.togglePositionLock(this._config.preservePosition, () => this._rerender());
             }
 
+            this._showDesktopButton?.togglePositionLock(this._config.preservePosition);
+            this._workspaceSwitcher?.togglePositionLock(this._config.preservePosition);
+
             if (this._config.showFavorites && !this._favorites) {
-                this._favorites = new Favorites(() => this._rerender('changed'));
+                this._favorites = new Favorites(() => this._handleFavoritesChanged());
+                this._pinGroups = new PinGroups(this._settings, () => this._handleFavoritesChanged());
             } else if (!this._config.showFavorites && this._favorites)  {
                 this._favorites.destroy();
                 this._favorites = null;
+                this._pinGroups.destroy();
+                this._pinGroups = null;
+            }
+
+            const showWorkspaceFavorites = this._config.showFavorites && this._config.workspaceFavoritesMode !== 'global';
+
+            if (showWorkspaceFavorites && !this._workspaceFavorites) {
+                this._workspaceFavorites = new WorkspaceFavorites(this._settings, () => this._handleFavoritesChanged());
+            } else if (!showWorkspaceFavorites && this._workspaceFavorites) {
+                this._workspaceFavorites.destroy();
+                this._workspaceFavorites = null;
+            }
+
+            // apps launched from outside the taskbar open windows on the primary monitor by default
+            const showLaunchingApps = this._isPrimary && this._config.showLaunchingApps;
+
+            if (showLaunchingApps && !this._launchHandler) {
+                this._launchingApps = [];
+                this._launchHandler = new LaunchHandler(apps => {
+                    this._launchingApps = apps;
+                    this._rerender('launch-changed');
+                });
+            } else if (!showLaunchingApps && this._launchHandler) {
+                this._launchHandler.destroy();
+                this._launchHandler = null;
+                this._launchingApps = [];
+            }
+
+            // hotkeys activate app buttons of the taskbar of the primary monitor only
+            if (this._config.enableHotkeys && this._isPrimary && !this._hotkeys) {
+                this._hotkeys = new TaskbarHotkeys(this, this._settings);
+            } else if (!this._config.enableHotkeys && this._hotkeys) {
+                this._hotkeys.destroy();
+                this._hotkeys = null;
+            }
+
+            if (this._config.ungroupWindows !== oldConfig.ungroupWindows) {
+                this._toggleWindowTracking();
+            }
+
+            if (this._config.allMonitors !== oldConfig.allMonitors) {
+                this._toggleMonitorTracking();
+            }
+
+            if (this._config.sortMode !== oldConfig.sortMode) {
+                this._toggleFocusTracking();
+            }
+
+            if (oldConfig.overflowMode && this._config.overflowMode !== oldConfig.overflowMode) {
+                this._queueFitAppButtons(true);
             }
 
             if (oldConfig.showFavorites !== this._config.showFavorites ||
-                    oldConfig.isolateWorkspaces !== this._config.isolateWorkspaces) {
+                    oldConfig.workspaceFavoritesMode !== this._config.workspaceFavoritesMode ||
+                    oldConfig.isolateWorkspaces !== this._config.isolateWorkspaces ||
+                        oldConfig.ungroupWindows !== this._config.ungroupWindows ||
+                            oldConfig.allMonitors !== this._config.allMonitors ||
+                                oldConfig.sortMode !== this._config.sortMode ||
+                                    oldConfig.mixPinnedApps !== this._config.mixPinnedApps ||
+                                    oldConfig.showLaunchingApps !== this._config.showLaunchingApps) {
                 this._rerender('changed');
             }
         }
@@ -184,15 +431,35 @@ export const Taskbar = GObject.registerClass(
         _setConfig() {
             this._config = {
                 showFavorites: this._settings.get_boolean('taskbar-show-favorites'),
+                // global, layer or replace
+                // pinned apps of the workspace are displayed after the global ones or instead of them
+                workspaceFavoritesMode: this._settings.get_string('taskbar-workspace-favorites-mode'),
                 // display running apps from the current workspace only or from all workspaces
                 isolateWorkspaces: this._settings.get_boolean('taskbar-isolate-workspaces'),
+                // display a separate app button for each window instead of grouping them by app
+                ungroupWindows: this._settings.get_boolean('taskbar-ungroup-windows'),
+                // display windows from the monitor of the taskbar only
+                allMonitors: this._settings.get_boolean('taskbar-all-monitors'),
+                // manual, launch_order, alphabetical, recently_focused or workspace
+                sortMode: this._settings.get_string('taskbar-sort-mode'),
+                // pinned and running apps share the same order
+                mixPinnedApps: this._settings.get_boolean('taskbar-mix-pinned-apps'),
+                // scroll or shrink, the last app buttons are moved to the overflow button after shrinking
+                overflowMode: this._settings.get_string('taskbar-overflow-mode'),
+                // activate app buttons by their position using Super+1..9
+                enableHotkeys: this._settings.get_boolean('taskbar-enable-hotkeys'),
                 // position to display the taskbar in the panel
                 // left box by default
                 position: this._settings.get_string('taskbar-position'),
                 // index to display the taskbar in the panel
                 // display after Activities button by default
                 positionOffset: this._settings.get_int('taskbar-position-offset'),
-                preservePosition: this._settings.get_boolean('taskbar-preserve-position')
+                preservePosition: this._settings.get_boolean('taskbar-preserve-position'),
+                // none, start or end of the taskbar
+                showDesktopButton: this._settings.get_string('taskbar-show-desktop-button'),
+                workspaceSwitcher: this._settings.get_string('taskbar-workspace-switcher'),
+                // temporary buttons of apps launched from outside the taskbar
+                showLaunchingApps: this._settings.get_boolean('taskbar-show-launching-apps')
             };
         }
 
@@ -200,7 +467,26 @@ export const Taskbar = GObject.registerClass(
 
             this._stopRerender();
 
-            this._positionProvider.setPosition(this._config.position, this._config.positionOffset);
+            // widgets are placed around the taskbar, the show desktop button is the outermost one
+            const widgets = [
+                [this._showDesktopButton, this._config.showDesktopButton],
+                [this._workspaceSwitcher, this._config.workspaceSwitcher]
+            ].filter(([widget]) => widget);
+
+            const startWidgets = widgets.filter(([, side]) => side === 'start').map(([widget]) => widget);
+            const endWidgets = widgets.filter(([, side]) => side === 'end').map(([widget]) => widget).reverse();
+
+            let offset = this._config.positionOffset;
+
+            for (const widget of startWidgets) {
+                widget.setPosition(this._config.position, offset++);
+            }
+
+            this._positionProvider.setPosition(this._config.position, offset++);
+
+            for (const widget of endWidgets) {
+                widget.setPosition(this._config.position, offset++);
+            }
         }
 
         //#region taskbar render
@@ -224,9 +510,75 @@ export const Taskbar = GObject.registerClass(
                 this._connectRender(Shell.AppSystem.get_default(), 'app-state-changed');
                 this._connectRender(global.window_manager, 'switch-workspace');
 
+                this._toggleWindowTracking();
+                this._toggleMonitorTracking();
+                this._toggleFocusTracking();
+
             });
         }
 
+        _toggleWindowTracking() {
+
+            // the render is not initialized yet
+            if (!this._workId) {
+                return;
+            }
+
+            // windows are tracked by app state changes when grouped by app
+            if (!this._config.ungroupWindows) {
+                this._connections.remove('window-created');
+                return;
+            }
+
+            // new windows of running apps can be created on any workspace
+            this._connectRender(global.display, 'window-created');
+        }
+
+        _toggleMonitorTracking() {
+
+            // the render is not initialized yet
+            if (!this._workId) {
+                return;
+            }
+
+            if (!this._config.allMonitors) {
+                this._connections.removeScope(['window-entered-monitor', 'window-left-monitor', 'monitors-changed']);
+                return;
+            }
+
+            // windows can be moved between monitors
+            this._connectRender(global.display, 'window-entered-monitor');
+            this._connectRender(global.display, 'window-left-monitor');
+            // the primary monitor can be changed
+            this._connectRender(Main.layoutManager, 'monitors-changed');
+        }
+
+        _toggleFocusTracking() {
+
+            // the render is not initialized yet
+            if (!this._workId) {
+                return;
+            }
+
+            if (this._config.sortMode !== 'recently_focused') {
+                this._connections.remove('notify::focus-window');
+                return;
+            }
+
+            // the order depends on the focused window
+            this._connectRender(global.display, 'notify::focus-window');
+        }
+
+        _getMonitorIndex() {
+
+            if (!this._isPrimary) {
+                return this._panel.monitorIndex;
+            }
+
+            // -1 to display windows from all monitors
+            return this._config.allMonitors ? Main.layoutManager.primaryIndex : -1;
+        }
+
         _rerender(event, param) {
 
             if (!this._workId) {
@@ -241,12 +593,17 @@ export const Taskbar = GObject.registerClass(
 
                 case 'switch-workspace':
                     highPriority = true;
+                    // every workspace has its own pinned apps
+                    if (this._workspaceFavorites) {
+                        this._favoriteApps = null;
+                    }
                 case 'app-state-changed':
                     // ignore starting apps
                     if (param && param instanceof Shell.App &&
                             param.state === Shell.AppState.STARTING) {
                         return;
                     }
+                case 'window-created':
                 case 'window_added':
                 case 'window_removed':
                     // ignore windows that skip taskbar
@@ -258,6 +615,15 @@ export const Taskbar = GObject.registerClass(
                     this._taskbarApps = null;
                     break;
 
+                case 'window-entered-monitor':
+                case 'window-left-monitor':
+                case 'notify::focus-window':
+                case 'launch-changed':
+                    // drop taskbar apps cache
+                    this._taskbarApps = null;
+                    break;
+
+                case 'monitors-changed':
                 case 'changed':
                     // drop all caches
                     this._favoriteApps = null;
@@ -322,9 +688,11 @@ export const Taskbar = GObject.registerClass(
                 this._getTaskbarApps()
             );
 
+            const monitorIndex = this._getMonitorIndex();
+
             // validate existing items in the taskbar
 
-            let taskbarAppButtonsByAppId = new Map();
+            let taskbarAppButtonsById = new Map();
             let taskbarAppButtonsPosition = [];
     
             const layoutActors = this._layout.get_children();
@@ -332,49 +700,71 @@ export const Taskbar = GObject.registerClass(
             for (let i = 0, l = layoutActors.length; i < l; ++i) {
 
                 let actor = layoutActors[i];
-                const appId = actor instanceof AppButton ? actor.appId : null;
+
+                // the overflow button stays at the end of the taskbar
+                if (actor === this._overflowButton) {
+                    continue;
+                }
+
+                const buttonId = (
+                    actor instanceof AppButton || actor instanceof PinGroupButton ?
+                    actor.buttonId :
+                    null
+                );
 
                 // remove unnecessary items from the taskbar
-                if (!appId || !taskbarAppsById.has(appId)) {
+                if (!buttonId || !taskbarAppsById.has(buttonId)) {
                     actor.destroy();
                     continue;
                 }
 
                 // the app button should stay in the taskbar
-                taskbarAppButtonsByAppId.set(actor.appId, actor);
+                taskbarAppButtonsById.set(buttonId, actor);
 
                 // save position of the app button
-                taskbarAppButtonsPosition.push(actor.appId);
+                taskbarAppButtonsPosition.push(buttonId);
             }
 
             // update/create app buttons
 
-            const taskbarAppIds = [...taskbarAppsById.keys()];
+            const taskbarButtonIds = [...taskbarAppsById.keys()];
 
-            for (let i = 0, l = taskbarAppIds.length; i < l; ++i) {
+            for (let i = 0, l = taskbarButtonIds.length; i < l; ++i) {
                 
-                const appId = taskbarAppIds[i];
-                const { app, isFavorite, isRestored } = taskbarAppsById.get(appId);
+                const buttonId = taskbarButtonIds[i];
+                const { app, window, group, apps, isFavorite, isRestored } = taskbarAppsById.get(buttonId);
 
                 // create new app buttons
-                if (!taskbarAppButtonsByAppId.size || !taskbarAppButtonsByAppId.has(appId)) {
+                if (!taskbarAppButtonsById.size || !taskbarAppButtonsById.has(buttonId)) {
                     const enableAnimation = !this._isRendered || !isRestored;
+                    const stateHandler = (appButton, state) => this._handleAppButtonState(appButton, state);
+                    const appButton = (
+                        group ?
+                        new PinGroupButton({ group, apps, monitorIndex }, this._settings, this._pinGroups, stateHandler) :
+                        new AppButton({ app, window, isFavorite, monitorIndex, taskbar: this }, this._settings, this._iconProvider, stateHandler)
+                    );
+
+                    appButton.setVertical(this.isVertical);
+
                     // disable animation for restored app buttons
-                    new AppButton(
-                        { app, isFavorite }, this._settings, this._iconProvider,
-                        (appButton, state) => this._handleAppButtonState(appButton, state)
-                    ).setParent(this._layout, i, enableAnimation);
+                    appButton.setParent(this._layout, i, enableAnimation);
                     // remember position of the new button
-                    taskbarAppButtonsPosition.splice(i, 0, appId);
+                    taskbarAppButtonsPosition.splice(i, 0, buttonId);
                     continue;
                 }
 
                 // for existing app buttons check if position has changed
-                const appButton = taskbarAppButtonsByAppId.get(appId);
-                const position = taskbarAppButtonsPosition.indexOf(appId);
+                const appButton = taskbarAppButtonsById.get(buttonId);
+                const position = taskbarAppButtonsPosition.indexOf(buttonId);
 
                 // update favorite status
                 appButton.isFavorite = isFavorite;
+                appButton.monitorIndex = monitorIndex;
+
+                // apps of the folder could be changed
+                if (group) {
+                    appButton.setGroup(group, apps);
+                }
                 
                 // if position has changed move the app button
                 if (position !== i) {
@@ -382,7 +772,7 @@ export const Taskbar = GObject.registerClass(
 
                     // replace position in the array
                     taskbarAppButtonsPosition.splice(position, 1);
-                    taskbarAppButtonsPosition.splice(i, 0, appId);
+                    taskbarAppButtonsPosition.splice(i, 0, buttonId);
                 }
 
                 appButton.rerender();
@@ -395,6 +785,16 @@ export const Taskbar = GObject.registerClass(
 
             // update cache
             this._taskbarApps = taskbarAppsById;
+
+            // restore full sizes of app buttons only when the buttons have changed
+            // otherwise labels would jump on every focus change
+            const fitButtonIds = taskbarButtonIds.join(',');
+
+            this._queueFitAppButtons(fitButtonIds !== this._fitButtonIds);
+
+            this._fitButtonIds = fitButtonIds;
+
+            DBusService.instance().queueButtonsChanged();
         }
 
         //#endregion taskbar render
@@ -405,15 +805,27 @@ export const Taskbar = GObject.registerClass(
 
             // get apps to display
 
-            const favoriteApps = this._getFavoriteApps();
+            let favoriteApps = this._getFavoriteApps();
 
             let runningApps = this._getRunningApps(favoriteApps);
+
+            this._addLaunchingApps(favoriteApps, runningApps);
+
+            // favorite apps with windows are replaced by their windows
+            if (this._config.ungroupWindows && favoriteApps.size) {
+                favoriteApps = this._ungroupFavoriteApps(favoriteApps, runningApps);
+            }
+
             let oldRunningAppIds = this._restoreRunningAppsForWorkspace(workspaceIndex);
 
-            // no running apps so clear cache for the workspace and exit
+            // no running apps, e.g. at the start of the session
+            // so keep the saved order for apps that are not started yet
             if (!runningApps.size) {
-                Taskbar._runningAppsCache[workspaceIndex] = [];
-                return favoriteApps;
+                return (
+                    this._config.mixPinnedApps ?
+                    this._mixTaskbarApps(favoriteApps, runningApps) :
+                    favoriteApps
+                );
             }
 
             // restore position of the running apps for the current workspace
@@ -425,20 +837,21 @@ export const Taskbar = GObject.registerClass(
 
                 for (let i = 0, l = oldRunningAppIds.length; i < l; ++i) {
 
-                    const oldRunningAppId = oldRunningAppIds[i];
+                    const buttonIds = this._findRunningAppIds(runningApps, oldRunningAppIds[i]);
 
-                    if (!runningApps.has(oldRunningAppId)) {
-                        continue;
-                    }
+                    for (let j = 0, k = buttonIds.length; j < k; ++j) {
 
-                    let newRunningApp = runningApps.get(oldRunningAppId);
+                        const buttonId = buttonIds[j];
 
-                    // mark restored apps with the flag
-                    newRunningApp.isRestored = true;
+                        let newRunningApp = runningApps.get(buttonId);
 
-                    newRunningApps.set(oldRunningAppId, newRunningApp);
+                        // mark restored apps with the flag
+                        newRunningApp.isRestored = true;
 
-                    runningApps.delete(oldRunningAppId);
+                        newRunningApps.set(buttonId, newRunningApp);
+
+                        runningApps.delete(buttonId);
+                    }
                 }
 
                 if (runningApps.size) {
@@ -451,7 +864,17 @@ export const Taskbar = GObject.registerClass(
             }
 
             // update cache for the workspace
-            Taskbar._runningAppsCache[workspaceIndex] = [...runningApps.keys()];
+            this._setRunningAppsForWorkspace(workspaceIndex, [...runningApps.keys()]);
+
+            // pinned and running apps share the same order
+            if (this._config.mixPinnedApps) {
+                return this._mixTaskbarApps(favoriteApps, runningApps);
+            }
+
+            // the manual order is kept in the cache to return to it later
+            if (this._config.sortMode !== 'manual') {
+                runningApps = this._sortRunningApps(runningApps);
+            }
 
             // merge all apps to a single result if it makes sense
             if (favoriteApps.size) {
@@ -461,6 +884,131 @@ export const Taskbar = GObject.registerClass(
             return runningApps;
         }
 
+        _mixTaskbarApps(favoriteApps, runningApps) {
+
+            const taskbarApps = new Map([...favoriteApps, ...runningApps]);
+
+            let mixedOrder = this._settings.get_strv('taskbar-mixed-order');
+
+            // new apps are placed at the end
+            // the order is saved on drag and drop and on changes of pinned apps only
+            for (let buttonId of taskbarApps.keys()) {
+
+                const appId = AppButton.getAppId(buttonId);
+
+                if (!mixedOrder.includes(appId)) {
+                    mixedOrder.push(appId);
+                }
+            }
+
+            this._mixedOrder = mixedOrder;
+
+            // windows of the same app keep the order of the running apps cache
+            const result = new Map([...taskbarApps].sort(([a], [b]) => (
+                mixedOrder.indexOf(AppButton.getAppId(a)) -
+                mixedOrder.indexOf(AppButton.getAppId(b))
+            )));
+
+            // the mixed order is the manual order of other sort modes
+            return this._config.sortMode !== 'manual' ? this._sortRunningApps(result) : result;
+        }
+
+        _handleFavoritesChanged() {
+
+            // keep positions of displayed running apps after pinning or unpinning apps
+            if (this._config.mixPinnedApps && this._mixedOrder) {
+                this._saveMixedOrder(this._mixedOrder);
+            }
+
+            this._rerender('changed');
+        }
+
+        _saveMixedOrder(mixedOrder) {
+
+            const appSystem = Shell.AppSystem.get_default();
+
+            // skip apps that were uninstalled
+            mixedOrder = mixedOrder.filter(appId => (
+                appId.startsWith(PIN_GROUP_PREFIX) ||
+                appSystem.lookup_app(appId)
+            ));
+
+            if (mixedOrder.join() === this._settings.get_strv('taskbar-mixed-order').join()) {
+                return;
+            }
+
+            this._settings.set_strv('taskbar-mixed-order', mixedOrder);
+        }
+
+        _sortRunningApps(runningApps) {
+
+            let sortKeys = new Map(); // buttonId => sort key
+
+            // most recently used windows go first
+            const tabList = (
+                this._config.sortMode === 'recently_focused' ?
+                global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null) :
+                null
+            );
+
+            // apps are sorted by the lowest value of their windows
+            // pinned apps without windows go last when pinned and running apps are mixed
+            const getMinValue = (windows, callback) => (
+                windows.length ? Math.min(...windows.map(callback)) :
+                this._config.mixPinnedApps ? Number.MAX_SAFE_INTEGER : 0
+            );
+
+            for (let [buttonId, { app, window, group, apps }] of runningApps) {
+
+                // pinned apps and folders are sorted too when pinned and running apps are mixed
+                const windows = (
+                    window ? [window] :
+                    app ? app.get_windows() :
+                    (apps || []).flatMap(app => app.get_windows())
+                );
+
+                switch (this._config.sortMode) {
+
+                    case 'launch_order':
+                        sortKeys.set(buttonId, getMinValue(windows, window => window.get_stable_sequence()));
+                        break;
+
+                    case 'alphabetical':
+                        sortKeys.set(buttonId, app?.get_name() || group?.name || '');
+                        break;
+
+                    case 'recently_focused':
+                        sortKeys.set(buttonId, getMinValue(windows, window => {
+                            const index = tabList.indexOf(window);
+                            return index < 0 ? tabList.length : index;
+                        }));
+                        break;
+
+                    case 'workspace':
+                        sortKeys.set(buttonId, getMinValue(windows, window => (
+                            window.on_all_workspaces ? 0 : window.get_workspace()?.index() ?? 0
+                        )));
+                        break;
+
+                    default:
+                        return runningApps;
+                }
+            }
+
+            // the sort is stable so apps with equal keys keep the manual order
+            return new Map([...runningApps].sort(([a], [b]) => {
+
+                const keyA = sortKeys.get(a);
+                const keyB = sortKeys.get(b);
+
+                if (typeof keyA === 'string') {
+                    return keyA.localeCompare(keyB);
+                }
+
+                return keyA - keyB;
+            }));
+        }
+
         _getFavoriteApps() {
 
             if (!this._config.showFavorites || !this._favorites) {
@@ -475,7 +1023,8 @@ export const Taskbar = GObject.registerClass(
 
             let result = new Map();
 
-            const favoriteApps = this._favorites.getApps();
+            const favoriteApps = this._getFavoriteAppsForWorkspace();
+            const favoriteAppsById = new Map(favoriteApps.map(app => [app.id, app]));
 
             for (let i = 0, l = favoriteApps.length; i < l; ++i) {
 
@@ -485,6 +1034,27 @@ export const Taskbar = GObject.registerClass(
                     continue;
                 }
 
+                const group = this._pinGroups?.getGroupByAppId(app.id);
+
+                // apps of a folder are displayed at the position of its first pinned app
+                if (group) {
+
+                    if (result.has(group.id)) {
+                        continue;
+                    }
+
+                    const groupApps = group.appIds.map(appId => favoriteAppsById.get(appId)).filter(app => app);
+
+                    if (groupApps.length > 1) {
+                        result.set(group.id, {
+                            group: group,
+                            apps: groupApps,
+                            isFavorite: true
+                        });
+                        continue;
+                    }
+                }
+
                 result.set(app.id, {
                     app: app,
                     isFavorite: true
@@ -497,57 +1067,178 @@ export const Taskbar = GObject.registerClass(
             return result;
         }
 
-        /**
-         * appSystem.get_running() is slow to update
-         * using implementation from Dash to Panel instead
-        */
-        _getRunningApps(favoriteApps = new Map()) {
+        _getFavoriteAppsForWorkspace() {
 
-            let result = new Map();
+            if (!this._workspaceFavorites) {
+                return this._favorites.getApps();
+            }
 
-            const tracker = Shell.WindowTracker.get_default();
-            const windows = (
-                this._config.isolateWorkspaces ?
-                // get windows from the current workspace only
-                global.workspace_manager.get_active_workspace().list_windows() :
-                // get all windows
-                global.get_window_actors()
+            const workspaceApps = this._workspaceFavorites.getApps(
+                global.workspace_manager.get_active_workspace_index()
             );
 
-            if (!windows.length) {
-                return result;
+            if (this._config.workspaceFavoritesMode === 'replace') {
+                return workspaceApps;
             }
 
-            for (let i = 0, l = windows.length; i < l; ++i) {
+            const globalApps = this._favorites.getApps();
 
-                // workspace_manager.get_active_workspace().list_windows() returns meta windows
-                // global.get_window_actors() returns window actors
-                const window = windows[i].metaWindow || windows[i];
+            return [...globalApps, ...workspaceApps.filter(app => !globalApps.includes(app))];
+        }
 
-                // skip windows that skip taskbar
-                if (window.skip_taskbar) {
+        _ungroupFavoriteApps(favoriteApps, runningApps) {
+
+            let result = new Map();
+
+            // windows of favorite apps by app id
+            let favoriteWindows = new Map();
+
+            for (let [buttonId, runningApp] of runningApps) {
+
+                if (!runningApp.isFavorite) {
                     continue;
                 }
 
-                const app = tracker.get_window_app(window);
-                const appId = app ? app.id : null;
+                const appId = runningApp.app.id;
 
-                if (!appId || result.has(appId) || favoriteApps.has(appId)) {
-                    continue;
+                if (!favoriteWindows.has(appId)) {
+                    favoriteWindows.set(appId, []);
                 }
 
-                result.set(appId, {
-                    app: app,
-                    isFavorite: false
-                });
+                favoriteWindows.get(appId).push([buttonId, runningApp]);
+
+                runningApps.delete(buttonId);
             }
 
-            return result;
-        }
+            for (let [appId, favoriteApp] of favoriteApps) {
 
-        _destroy() {
+                const windows = favoriteWindows.get(appId);
+
+                // keep the favorite app button when the app has no windows
+                if (!windows) {
+                    result.set(appId, favoriteApp);
+                    continue;
+                }
+
+                // window actors are sorted by stacking order
+                // so use the stable sequence to avoid jumping of the buttons
+                windows.sort((a, b) => a[1].window.get_stable_sequence() - b[1].window.get_stable_sequence());
+
+                for (let i = 0, l = windows.length; i < l; ++i) {
+                    result.set(...windows[i]);
+                }
+            }
+
+            return result;
+        }
+
+        _handleUrgentWindow(window) {
+
+            const appButtons = this.getAppButtons();
+
+            for (let i = 0, l = appButtons.length; i < l; ++i) {
+                appButtons[i].handleUrgentWindow(window);
+            }
+        }
+
+        _addLaunchingApps(favoriteApps, runningApps) {
+
+            if (!this._launchHandler) {
+                return;
+            }
+
+            const runningAppsList = [...runningApps.values()];
+
+            for (let i = 0, l = this._launchingApps.length; i < l; ++i) {
+
+                const app = this._launchingApps[i];
+
+                // starting apps which are not displayed yet get a temporary button
+                if (favoriteApps.has(app.id) || runningAppsList.some(runningApp => runningApp.app === app)) {
+                    continue;
+                }
+
+                runningApps.set(app.id, {
+                    app: app,
+                    isFavorite: false
+                });
+            }
+        }
+
+        /**
+         * appSystem.get_running() is slow to update
+         * using implementation from Dash to Panel instead
+        */
+        _getRunningApps(favoriteApps = new Map()) {
+
+            let result = new Map();
+
+            const tracker = Shell.WindowTracker.get_default();
+            const windows = (
+                this._config.isolateWorkspaces ?
+                // get windows from the current workspace only
+                global.workspace_manager.get_active_workspace().list_windows() :
+                // get all windows
+                global.get_window_actors()
+            );
+
+            if (!windows.length) {
+                return result;
+            }
+
+            const monitorIndex = this._getMonitorIndex();
+
+            for (let i = 0, l = windows.length; i < l; ++i) {
+
+                // workspace_manager.get_active_workspace().list_windows() returns meta windows
+                // global.get_window_actors() returns window actors
+                const window = windows[i].metaWindow || windows[i];
+
+                // skip windows that skip taskbar
+                if (window.skip_taskbar) {
+                    continue;
+                }
+
+                // skip windows from other monitors
+                if (monitorIndex >= 0 && window.get_monitor() !== monitorIndex) {
+                    continue;
+                }
+
+                const app = tracker.get_window_app(window);
+                const appId = app ? app.id : null;
+
+                if (!appId) {
+                    continue;
+                }
+
+                // every window gets its own app button
+                if (this._config.ungroupWindows) {
+                    result.set(AppButton.getButtonId(appId, window), {
+                        app: app,
+                        window: window,
+                        isFavorite: favoriteApps.has(appId)
+                    });
+                    continue;
+                }
+
+                if (result.has(appId) || favoriteApps.has(appId)) {
+                    continue;
+                }
+
+                result.set(appId, {
+                    app: app,
+                    isFavorite: false
+                });
+            }
+
+            return result;
+        }
+
+        _destroy() {
 
             this.isDestroying = true;
+
+            DBusService.instance().removeTaskbar(this);
             
             // clear init render timeout
             this._initRenderTimeout?.destroy();
@@ -561,21 +1252,53 @@ export const Taskbar = GObject.registerClass(
 
             // stop other timeouts
             this._stopScrollToActiveButton();
+            this._fitAppButtonsTimeout?.destroy();
+            this._fitAppButtonsTimeout = null;
+            this._overflowButton = null;
+
+            // save the order of running apps right away
+            if (Taskbar._saveRunningAppsCacheTimeout) {
+                Taskbar._saveRunningAppsCacheTimeout.destroy();
+                Taskbar._saveRunningAppsCacheTimeout = null;
+                this._saveRunningAppsCache();
+            }
 
             // destroy favorites
             this._favorites?.destroy();
             this._favorites = null;
+            this._pinGroups?.destroy();
+            this._pinGroups = null;
+            this._workspaceFavorites?.destroy();
+            this._workspaceFavorites = null;
+
+            // destroy hotkeys
+            this._hotkeys?.destroy();
+            this._hotkeys = null;
+
+            // destroy launch handler
+            this._launchHandler?.destroy();
+            this._launchHandler = null;
+
+            // destroy keyboard navigation
+            this._navigation?.destroy();
+            this._navigation = null;
 
             // destroy position provider
             this._positionProvider.destroy();
             this._positionProvider = null;
+
+            this._showDesktopButton?.destroy();
+            this._showDesktopButton = null;
+
+            this._workspaceSwitcher?.destroy();
+            this._workspaceSwitcher = null;
     
             // destroy connections
             this._connections.destroy();
             this._connections = null;
 
             // restore default app button in the panel
-            if (!Main.overview.visible && !Main.sessionMode.isLocked) {
+            if (!this._panel && !Main.overview.visible && !Main.sessionMode.isLocked) {
                 Main.panel.statusArea.appMenu?.container?.show();
             }
         }
@@ -613,6 +1336,22 @@ export const Taskbar = GObject.registerClass(
                     this._setScrollLock(appButton, appButton?.hover);
                     break;
 
+                case 'window-unmanaged':
+                    this._rerender('window_removed');
+                    break;
+
+                case 'focus-previous':
+                    this._navigation?.moveFocus(appButton, -1);
+                    break;
+
+                case 'focus-next':
+                    this._navigation?.moveFocus(appButton, 1);
+                    break;
+
+                case 'focus-return':
+                    this._navigation?.returnFocus();
+                    break;
+
                 case 'active':
                     this._activeAppButton = appButton;
                 case 'drag-motion':
@@ -625,6 +1364,10 @@ export const Taskbar = GObject.registerClass(
 
                 case 'drag-end':
                     this._toggleAppButtonHighlight(appButton, false);
+                    if (appButton.dropTarget) {
+                        this._groupAppButton(appButton, appButton.dropTarget);
+                        break;
+                    }
                     this._handleAppButtonPosition(appButton);
                     break;
 
@@ -666,6 +1409,11 @@ export const Taskbar = GObject.registerClass(
                 return;
             }
 
+            if (this._config.mixPinnedApps) {
+                this._handleMixedAppButtonPosition(appButton);
+                return;
+            }
+
             let newAppIds = [];
 
             // update positions of appButtons in the taskbar
@@ -675,14 +1423,27 @@ export const Taskbar = GObject.registerClass(
             for (let i = 0, l = layoutActors.length; i < l; ++i) {
 
                 const actor = layoutActors[i];
-                const appId = actor instanceof AppButton ? actor.appId : null;
 
-                if (!appId) {
+                // apps of folders keep their positions among favorites
+                if (actor instanceof PinGroupButton && appButton.isFavorite) {
+                    newAppIds.push(...actor.appIds);
                     continue;
                 }
 
-                if (actor.isFavorite === appButton.isFavorite) {
-                    newAppIds.push(appId);
+                if (!(actor instanceof AppButton) || !actor.appId ||
+                        actor.isFavorite !== appButton.isFavorite) {
+                    continue;
+                }
+
+                // running apps are cached by button ids
+                if (!appButton.isFavorite) {
+                    newAppIds.push(actor.buttonId);
+                    continue;
+                }
+
+                // favorites can be represented by multiple windows
+                if (!newAppIds.includes(actor.appId)) {
+                    newAppIds.push(actor.appId);
                 }
             }
 
@@ -690,12 +1451,15 @@ export const Taskbar = GObject.registerClass(
 
             if (!appButton.isFavorite) {
 
-                const workspaceIndex = global.workspace_manager.get_active_workspace_index();
+                // the order is defined by the sort mode so move the app button back
+                if (this._config.sortMode !== 'manual') {
+                    this._rerender('changed');
+                    return;
+                }
 
-                // call it just to make sure that we have workspace cache
-                this._restoreRunningAppsForWorkspace(workspaceIndex);
+                const workspaceIndex = global.workspace_manager.get_active_workspace_index();
 
-                Taskbar._runningAppsCache[workspaceIndex] = newAppIds;
+                this._setRunningAppsForWorkspace(workspaceIndex, newAppIds);
 
                 // drop taskbar cache
                 this._taskbarApps = null;
@@ -705,36 +1469,278 @@ export const Taskbar = GObject.registerClass(
 
             // update favorites
 
+            this._moveFavoriteApp(appButton.appId, newAppIds);
+        }
+
+        _handleMixedAppButtonPosition(appButton) {
+
+            let appIds = [];
+            let favoriteAppIds = [];
+            let runningButtonIds = [];
+
+            const layoutActors = this._layout.get_children();
+
+            for (let i = 0, l = layoutActors.length; i < l; ++i) {
+
+                const actor = layoutActors[i];
+
+                // folders are ordered by their ids
+                if (actor instanceof PinGroupButton) {
+                    appIds.push(actor.buttonId);
+                    favoriteAppIds.push(...actor.appIds);
+                    continue;
+                }
+
+                if (!(actor instanceof AppButton) || !actor.appId) {
+                    continue;
+                }
+
+                if (!appIds.includes(actor.appId)) {
+                    appIds.push(actor.appId);
+                }
+
+                if (!actor.isFavorite) {
+                    runningButtonIds.push(actor.buttonId);
+                } else if (!favoriteAppIds.includes(actor.appId)) {
+                    favoriteAppIds.push(actor.appId);
+                }
+            }
+
+            // apps that are not displayed right now keep their positions in the order
+            let appIndex = 0;
+
+            let mixedOrder = this._settings.get_strv('taskbar-mixed-order').map(appId => (
+                appIds.includes(appId) ? appIds[appIndex++] : appId
+            ));
+
+            mixedOrder.push(...appIds.slice(appIndex));
+
+            this._saveMixedOrder(mixedOrder);
+
+            // windows of running apps are ordered by the cache
+            const workspaceIndex = global.workspace_manager.get_active_workspace_index();
+
+            this._setRunningAppsForWorkspace(workspaceIndex, runningButtonIds);
+
+            // drop taskbar cache
+            this._taskbarApps = null;
+
+            // keep the order of favorites in sync for the Dash
+            if (appButton.isFavorite) {
+                this._moveFavoriteApp(appButton.appId, favoriteAppIds);
+            }
+
+            // the order is defined by the sort mode so move the app button back
+            if (this._config.sortMode !== 'manual') {
+                this._rerender('changed');
+            }
+        }
+
+        _moveFavoriteApp(appId, favoriteAppIds) {
+
             if (!this._favorites) {
                 return;
             }
-            
-            const newPosition = newAppIds.indexOf(appButton.appId);
 
-            this._favorites.moveAppToPosition(appButton.appId, newPosition);
+            if (!this._workspaceFavorites) {
+                this._favorites.moveAppToPosition(appId, favoriteAppIds.indexOf(appId));
+                return;
+            }
+
+            // pinned apps of the workspace are ordered separately from the global ones
+            const workspaceIndex = global.workspace_manager.get_active_workspace_index();
+            const globalAppIds = this._favorites.getApps().map(app => app.id);
+
+            const isWorkspaceApp = appId => (
+                this._config.workspaceFavoritesMode === 'replace' ||
+                !globalAppIds.includes(appId)
+            );
+
+            favoriteAppIds = favoriteAppIds.filter(id => isWorkspaceApp(id) === isWorkspaceApp(appId));
+
+            if (isWorkspaceApp(appId)) {
+                this._workspaceFavorites.moveAppToPosition(workspaceIndex, appId, favoriteAppIds.indexOf(appId));
+                return;
+            }
+
+            this._favorites.moveAppToPosition(appId, favoriteAppIds.indexOf(appId));
+        }
+
+        _groupAppButton(appButton, dropTarget) {
+
+            appButton.dropTarget = null;
+
+            if (!this._pinGroups || !appButton.appId) {
+                return;
+            }
+
+            // add the app to the existing folder
+            if (dropTarget instanceof PinGroupButton) {
+                this._pinGroups.addApp(dropTarget.buttonId, appButton.appId);
+                return;
+            }
+
+            if (!dropTarget.appId) {
+                return;
+            }
+
+            const group = this._pinGroups.getGroupByAppId(dropTarget.appId);
+
+            if (group) {
+                this._pinGroups.addApp(group.id, appButton.appId);
+                return;
+            }
+
+            this._pinGroups.createGroup([dropTarget.appId, appButton.appId], _('Folder'));
         }
 
         _restoreRunningAppsForWorkspace(workspaceIndex) {
-            
-            const workspacesLength = global.workspace_manager.get_n_workspaces();
+
+            // workspaces are not trimmed, dynamic workspaces of the previous session
+            // could be created again when their apps are started
+            const runningAppsCache = this._getRunningAppsCache();
+
+            // no cache for the workspace index so create it
+            if (runningAppsCache.length <= workspaceIndex) {
+                while (runningAppsCache.length <= workspaceIndex) {
+                    runningAppsCache.push([]);
+                }
+            }
+
+            return runningAppsCache[workspaceIndex];
+        }
+
+        /*
+         * Apps of the saved order that are not running yet keep their positions
+         */
+        _setRunningAppsForWorkspace(workspaceIndex, buttonIds) {
+
+            const oldButtonIds = this._restoreRunningAppsForWorkspace(workspaceIndex);
+            const runningAppIds = new Set(buttonIds.map(buttonId => AppButton.getAppId(buttonId)));
+
+            let result = [...buttonIds];
+
+            for (let i = 0, l = oldButtonIds.length; i < l; ++i) {
+
+                const oldButtonId = oldButtonIds[i];
+
+                // windows don't exist in the next session
+                if (oldButtonId.includes('#') || runningAppIds.has(oldButtonId)) {
+                    continue;
+                }
+
+                // place the app next to the app that preceded it in the saved order
+                const previousAppId = i > 0 ? AppButton.getAppId(oldButtonIds[i - 1]) : null;
+                const previousIndex = previousAppId ? result.findLastIndex(
+                    buttonId => AppButton.getAppId(buttonId) === previousAppId
+                ) : -1;
+
+                result.splice(previousIndex + 1, 0, oldButtonId);
+            }
+
+            this._getRunningAppsCache()[workspaceIndex] = result;
+
+            this._queueSaveRunningAppsCache();
+        }
+
+        _findRunningAppIds(runningApps, oldRunningAppId) {
+
+            if (runningApps.has(oldRunningAppId)) {
+                return [oldRunningAppId];
+            }
+
+            // the order saved in the previous session contains app ids only
+            // so apply it to all windows of the app when windows are not grouped
+            if (!this._config.ungroupWindows || oldRunningAppId.includes('#')) {
+                return [];
+            }
+
+            return [...runningApps.keys()].filter(
+                buttonId => AppButton.getAppId(buttonId) === oldRunningAppId
+            );
+        }
+
+        _getRunningAppsCache() {
 
             if (!Taskbar._runningAppsCache) {
-                Taskbar._runningAppsCache = [];
+                Taskbar._runningAppsCache = this._loadRunningAppsCache();
             }
 
-            // remove obsolete workspaces if any
-            if (Taskbar._runningAppsCache.length > workspacesLength) {
-                Taskbar._runningAppsCache.splice(workspacesLength - 1, Taskbar._runningAppsCache.length - workspacesLength);
+            const monitorIndex = this._getMonitorIndex();
+
+            if (!Taskbar._runningAppsCache.has(monitorIndex)) {
+                Taskbar._runningAppsCache.set(monitorIndex, []);
             }
 
-            // no cache for the workspace index so create it
-            if (Taskbar._runningAppsCache.length <= workspaceIndex) {
-                while (Taskbar._runningAppsCache.length <= workspaceIndex) {
-                    Taskbar._runningAppsCache.push([]);
+            return Taskbar._runningAppsCache.get(monitorIndex);
+        }
+
+        _loadRunningAppsCache() {
+
+            let result = new Map();
+            let savedCache = null;
+
+            try {
+                savedCache = JSON.parse(this._settings.get_string('taskbar-running-apps-order') || '{}');
+            } catch (e) {
+                // start from scratch when the saved value is broken
+                return result;
+            }
+
+            const appSystem = Shell.AppSystem.get_default();
+
+            for (const monitorIndex in savedCache) {
+
+                const workspaces = savedCache[monitorIndex];
+
+                if (!Array.isArray(workspaces)) {
+                    continue;
                 }
+
+                // skip apps that were uninstalled since the last session
+                result.set(parseInt(monitorIndex), workspaces.map(appIds => (
+                    Array.isArray(appIds) ?
+                    appIds.filter(appId => appSystem.lookup_app(appId)) :
+                    []
+                )));
+            }
+
+            return result;
+        }
+
+        _queueSaveRunningAppsCache() {
+
+            Taskbar._saveRunningAppsCacheTimeout?.destroy();
+
+            // the cache is updated on every render so save it once things settle down
+            Taskbar._saveRunningAppsCacheTimeout = Timeout.low(2000).run(() => {
+                Taskbar._saveRunningAppsCacheTimeout = null;
+                this._saveRunningAppsCache();
+            });
+        }
+
+        _saveRunningAppsCache() {
+
+            if (!Taskbar._runningAppsCache) {
+                return;
             }
 
-            return Taskbar._runningAppsCache[workspaceIndex];
+            let savedCache = {};
+
+            // window ids don't make sense in the next session so save app ids only
+            Taskbar._runningAppsCache.forEach((workspaces, monitorIndex) => {
+                savedCache[monitorIndex] = workspaces.map(buttonIds => [
+                    ...new Set(buttonIds.map(buttonId => AppButton.getAppId(buttonId)))
+                ]);
+            });
+
+            const value = JSON.stringify(savedCache);
+
+            if (value === this._settings.get_string('taskbar-running-apps-order')) {
+                return;
+            }
+
+            this._settings.set_string('taskbar-running-apps-order', value);
         }
 
         //#region scroll view tweaks
@@ -758,6 +1764,210 @@ export const Taskbar = GObject.registerClass(
             }
         }
 
+        /*
+         * reset: restore full sizes of app buttons first
+         * the taskbar could get more space after rerendering
+         */
+        _queueFitAppButtons(reset) {
+
+            if (this.isDestroying) {
+                return;
+            }
+
+            if (reset) {
+                this._resetFitAppButtons();
+            }
+
+            if (this._fitAppButtonsTimeout) {
+                return;
+            }
+
+            // wait for the new allocation of the taskbar
+            this._fitAppButtonsTimeout = Timeout.idle().run(() => {
+                this._fitAppButtonsTimeout = null;
+                this._fitAppButtons();
+            });
+        }
+
+        _resetFitAppButtons() {
+
+            const appButtons = this.getAppButtons();
+
+            // collapsed app buttons stay hidden until the next fit to avoid flickering
+            for (let i = 0, l = appButtons.length; i < l; ++i) {
+                appButtons[i].setLabelWidthLimit(null);
+                appButtons[i].setPaddingLimit(null);
+            }
+        }
+
+        _expandAppButtons(appButtons) {
+
+            appButtons.forEach(appButton => appButton.show());
+
+            this._overflowButton?.setAppButtons([]);
+        }
+
+        /*
+         * Labels shrink first, then paddings of icons
+         * and then the last app buttons are moved to the overflow button
+         */
+        _fitAppButtons() {
+
+            const appButtons = this.getAppButtons();
+            const visibleAppButtons = appButtons.filter(appButton => appButton.visible);
+
+            if (this._config.overflowMode !== 'shrink' && visibleAppButtons.length < appButtons.length) {
+                this._expandAppButtons(appButtons);
+            }
+
+            // collapsed app buttons could fit again
+            if (!appButtons.length || (!this._getOverflowSize() && visibleAppButtons.length === appButtons.length)) {
+                return;
+            }
+
+            // labels and paddings don't take space in the vertical layout
+            if (!this.isVertical) {
+                this._shrinkLabels(visibleAppButtons.filter(appButton => appButton.getLabelWidth()));
+            }
+
+            if (this._config.overflowMode !== 'shrink') {
+                return;
+            }
+
+            if (!this.isVertical) {
+                this._shrinkPaddings(visibleAppButtons);
+            }
+
+            this._collapseAppButtons(appButtons);
+        }
+
+        _getOverflowSize() {
+
+            if (this.isVertical) {
+                const [, naturalHeight] = this._layout.get_preferred_height(this.width);
+                return Math.max(0, naturalHeight - this.height);
+            }
+
+            const [, naturalWidth] = this._layout.get_preferred_width(-1);
+
+            return Math.max(0, naturalWidth - this.width);
+        }
+
+        _getAppButtonSize(actor) {
+
+            const [, size] = (
+                this.isVertical ?
+                actor.get_preferred_height(this.width) :
+                actor.get_preferred_width(-1)
+            );
+
+            return size;
+        }
+
+        _shrinkLabels(appButtons) {
+
+            const overflowWidth = this._getOverflowSize();
+
+            if (!appButtons.length || !overflowWidth) {
+                return;
+            }
+
+            // shrink the widest labels first until the taskbar fits
+            const labelWidths = appButtons.map(appButton => appButton.getLabelWidth()).sort((a, b) => a - b);
+
+            let restWidth = labelWidths.reduce((sum, width) => sum + width, 0) - overflowWidth;
+            let widthLimit = 0;
+
+            for (let i = 0, l = labelWidths.length; i < l && restWidth > 0; ++i) {
+
+                const labelsCount = l - i;
+
+                if (labelWidths[i] * labelsCount >= restWidth) {
+                    widthLimit = Math.floor(restWidth / labelsCount);
+                    break;
+                }
+
+                restWidth -= labelWidths[i];
+            }
+
+            appButtons.forEach(appButton => appButton.setLabelWidthLimit(widthLimit));
+        }
+
+        _shrinkPaddings(appButtons) {
+
+            const overflowWidth = this._getOverflowSize();
+            const iconPadding = this._settings.get_int('appbutton-icon-padding');
+
+            if (!overflowWidth || !iconPadding) {
+                return;
+            }
+
+            // every app button has paddings on both sides
+            const paddingLimit = Math.max(0, iconPadding - Math.ceil(overflowWidth / (appButtons.length * 2)));
+
+            appButtons.forEach(appButton => appButton.setPaddingLimit(paddingLimit));
+        }
+
+        /*
+         * Collapsed app buttons are kept hidden while the fit is recomputed,
+         * so the size they would take is added to the current overflow
+         */
+        _collapseAppButtons(appButtons) {
+
+            const [, naturalSize] = (
+                this.isVertical ?
+                this._layout.get_preferred_height(this.width) :
+                this._layout.get_preferred_width(-1)
+            );
+
+            let overflowSize = naturalSize - (this.isVertical ? this.height : this.width);
+
+            for (let i = 0, l = appButtons.length; i < l; ++i) {
+                if (!appButtons[i].visible) {
+                    overflowSize += this._getAppButtonSize(appButtons[i]);
+                }
+            }
+
+            if (this._overflowButton?.visible) {
+                overflowSize -= this._getAppButtonSize(this._overflowButton);
+            }
+
+            if (overflowSize <= 0) {
+                this._expandAppButtons(appButtons);
+                return;
+            }
+
+            if (!this._overflowButton) {
+                this._overflowButton = new TaskbarOverflowButton();
+                this._layout.add_child(this._overflowButton);
+            }
+
+            this._overflowButton.setVertical(this.isVertical);
+
+            // the overflow button is always the last one
+            this._layout.set_child_above_sibling(this._overflowButton, null);
+
+            // the overflow button takes some space too
+            overflowSize += this._getAppButtonSize(this._overflowButton);
+
+            let hiddenAppButtons = [];
+
+            // always keep at least one app button visible
+            for (let i = appButtons.length - 1; i > 0 && overflowSize > 0; --i) {
+
+                overflowSize -= this._getAppButtonSize(appButtons[i]);
+
+                hiddenAppButtons.unshift(appButtons[i]);
+            }
+
+            // change visibility of app buttons moved from or to the overflow button only
+            for (let i = 0, l = appButtons.length; i < l; ++i) {
+                appButtons[i].visible = !hiddenAppButtons.includes(appButtons[i]);
+            }
+
+            this._overflowButton.setAppButtons(hiddenAppButtons);
+        }
+
         _scrollToActiveAppButton() {
 
             this._stopScrollToActiveButton();
@@ -784,24 +1994,25 @@ export const Taskbar = GObject.registerClass(
 
             this._stopScrollToActiveButton();
 
-            const adjustment = this.hscroll.adjustment;
+            const adjustment = this.isVertical ? this.vscroll.adjustment : this.hscroll.adjustment;
 
             let [value, lower_, upper, stepIncrement_, pageIncrement_, pageSize] = adjustment.get_values();
 
             let offset = 0;
-            const hfade = this.get_effect('fade');
+            const fade = this.get_effect('fade');
             
-            if (hfade) {
-                offset = hfade.fade_margins.left;
+            if (fade) {
+                offset = this.isVertical ? fade.fade_margins.top : fade.fade_margins.left;
             }
 
+            // x1 and x2 are the start and the end of the app button in the scrolling direction
             let box = appButton.get_allocation_box();
-            let x1 = box.x1;
-            let x2 = box.x2;
+            let x1 = this.isVertical ? box.y1 : box.x1;
+            let x2 = this.isVertical ? box.y2 : box.x2;
 
             box = this._layout.get_allocation_box();
-            x1 += box.x1;
-            x2 += box.x1;
+            x1 += this.isVertical ? box.y1 : box.x1;
+            x2 += this.isVertical ? box.y1 : box.x1;
 
             if (x1 < value + offset) {
                 value = Math.max(0, x1 - offset);
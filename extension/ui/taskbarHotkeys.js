@@ -0,0 +1,270 @@
+/* exported TaskbarHotkeys */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// custom modules import
+import { Connections } from '../utils/connections.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const HOTKEYS_COUNT = 9;
+const HOTKEY_SETTINGS_KEY = 'taskbar-hotkey-';
+const SHELL_HOTKEY_NAME = 'switch-to-application-';
+const SHELL_KEYBINDINGS_SCHEMA = 'org.gnome.shell.keybindings';
+const MODIFIERS_CHECK_INTERVAL = 100;
+// Super taps and Super shortcuts don't show the overlay
+const OVERLAY_SHOW_DELAY = 400;
+const OVERLAY_HOLD_TIME = 500;
+
+/**
+ * Activates app buttons of the taskbar by their position using keyboard shortcuts
+ * replaces default switch-to-application shortcuts of the Shell
+ */
+export class TaskbarHotkeys {
+
+    constructor(taskbar, settings) {
+
+        this._taskbar = taskbar;
+        this._settings = settings;
+        this._isOverlayShown = false;
+        this._superPressTime = 0;
+
+        this._connections = new Connections();
+        this._connections.add(this._settings, 'changed::taskbar-hotkeys-show-overlay', () => this._handleSettings());
+
+        this._addKeybindings();
+
+        this._handleSettings();
+    }
+
+    destroy() {
+
+        this._connections.destroy();
+        this._connections = null;
+
+        this._removeKeybindings();
+
+        this._stopModifiersTracking();
+
+        this._hideOverlay();
+
+        this._taskbar = null;
+    }
+
+    //#region private methods
+
+    _handleSettings() {
+
+        this._setConfig();
+
+        if (this._config.showOverlay) {
+            this._connections.add(global.stage, 'captured-event', (actor, event) => this._handleStageEvent(event));
+            return;
+        }
+
+        this._connections.remove('captured-event');
+
+        this._stopModifiersTracking();
+
+        this._hideOverlay();
+    }
+
+    _setConfig() {
+        this._config = {
+            showOverlay: this._settings.get_boolean('taskbar-hotkeys-show-overlay')
+        };
+    }
+
+    _addKeybindings() {
+
+        const shellActionMode = Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW;
+
+        for (let i = 1; i <= HOTKEYS_COUNT; ++i) {
+
+            // the Shell uses the same shortcuts to activate apps in the Dash
+            Main.wm.removeKeybinding(`${SHELL_HOTKEY_NAME}${i}`);
+
+            Main.wm.addKeybinding(
+                `${HOTKEY_SETTINGS_KEY}${i}`, this._settings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT, shellActionMode,
+                () => this._activateAppButton(i - 1)
+            );
+        }
+    }
+
+    _removeKeybindings() {
+
+        const shellSettings = new Gio.Settings({ schema_id: SHELL_KEYBINDINGS_SCHEMA });
+        const shellActionMode = Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW;
+
+        for (let i = 1; i <= HOTKEYS_COUNT; ++i) {
+
+            Main.wm.removeKeybinding(`${HOTKEY_SETTINGS_KEY}${i}`);
+
+            // restore default shortcuts of the Shell
+            Main.wm.addKeybinding(
+                `${SHELL_HOTKEY_NAME}${i}`, shellSettings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT, shellActionMode,
+                Main.wm._switchToApplication.bind(Main.wm)
+            );
+        }
+    }
+
+    _activateAppButton(position) {
+
+        if (!this._taskbar || this._taskbar.isDestroying) {
+            return;
+        }
+
+        this._taskbar.getTaskbarButtons()[position]?.activate();
+
+        if (this._config.showOverlay) {
+            this._showOverlay();
+            this._startModifiersTracking();
+        }
+    }
+
+    //#region overlay
+
+    _handleStageEvent(event) {
+
+        const eventType = event.type();
+
+        if (eventType !== Clutter.EventType.KEY_PRESS && eventType !== Clutter.EventType.KEY_RELEASE) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const symbol = event.get_key_symbol();
+
+        if (symbol !== Clutter.KEY_Super_L && symbol !== Clutter.KEY_Super_R) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        // the modifier state of the release event still contains Super
+        if (eventType === Clutter.EventType.KEY_PRESS) {
+            this._startModifiersTracking();
+        } else {
+            this._stopModifiersTracking();
+            this._handleSuperReleased();
+        }
+
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    /*
+     * The Shell gets no key release events while windows are focused,
+     * so the state of Super is checked after a Super press or a hotkey until it is released
+     */
+    _startModifiersTracking() {
+
+        if (this._modifiersTimeout) {
+            return;
+        }
+
+        this._modifiersTimeout = Timeout.default(MODIFIERS_CHECK_INTERVAL).run(() => {
+
+            this._modifiersTimeout = null;
+
+            if (this._handleModifiers()) {
+                this._startModifiersTracking();
+            }
+        });
+    }
+
+    _stopModifiersTracking() {
+        this._modifiersTimeout?.destroy();
+        this._modifiersTimeout = null;
+        this._superPressTime = 0;
+    }
+
+    /*
+     * Returns true while Super is held
+     */
+    _handleModifiers() {
+
+        const [, , modifiers] = global.get_pointer();
+
+        if (!(modifiers & Clutter.ModifierType.MOD4_MASK)) {
+            this._handleSuperReleased();
+            return false;
+        }
+
+        if (!this._superPressTime) {
+            this._superPressTime = GLib.get_monotonic_time();
+        }
+
+        // show position numbers while Super is held
+        if (GLib.get_monotonic_time() - this._superPressTime >= OVERLAY_SHOW_DELAY * 1000) {
+            this._setOverlayShown(true);
+        }
+
+        return true;
+    }
+
+    _handleSuperReleased() {
+
+        this._superPressTime = 0;
+
+        // the overlay is kept for a while after a hotkey
+        if (!this._overlayTimeout) {
+            this._setOverlayShown(false);
+        }
+    }
+
+    _showOverlay() {
+
+        this._setOverlayShown(true);
+
+        // keep the overlay for a while even if Super is released right away
+        this._overlayTimeout?.destroy();
+        this._overlayTimeout = Timeout.default(OVERLAY_HOLD_TIME).run(() => {
+            this._overlayTimeout = null;
+            this._handleModifiers();
+        });
+    }
+
+    _hideOverlay() {
+
+        this._overlayTimeout?.destroy();
+        this._overlayTimeout = null;
+
+        this._setOverlayShown(false);
+    }
+
+    _setOverlayShown(show) {
+
+        if (this._isOverlayShown === show) {
+            return;
+        }
+
+        this._isOverlayShown = show;
+
+        this._updateOverlay(show);
+    }
+
+    _updateOverlay(show) {
+
+        if (!this._taskbar || this._taskbar.isDestroying) {
+            return;
+        }
+
+        const appButtons = this._taskbar.getTaskbarButtons();
+
+        for (let i = 0, l = appButtons.length; i < l; ++i) {
+            appButtons[i].setHotkeyNumber(show && i < HOTKEYS_COUNT ? i + 1 : null);
+        }
+    }
+
+    //#endregion overlay
+
+    //#endregion private methods
+
+}
\ No newline at end of file
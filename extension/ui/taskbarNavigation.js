@@ -0,0 +1,131 @@
+/* exported TaskbarNavigation */
+
+//#region imports
+
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// custom modules import
+import { PinGroupButton } from './pinGroupButton.js';
+
+//#endregion imports
+
+const FOCUS_HOTKEY_SETTINGS_KEY = 'taskbar-focus-hotkey';
+
+/**
+ * Allows to move focus into the taskbar using a keyboard shortcut
+ * and to navigate through app buttons without the mouse
+ */
+export class TaskbarNavigation {
+
+    //#region public methods
+
+    constructor(taskbar, settings) {
+
+        this._taskbar = taskbar;
+        this._settings = settings;
+        this._previousWindow = null;
+
+        Main.wm.addKeybinding(
+            FOCUS_HOTKEY_SETTINGS_KEY, this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => this._focusTaskbar()
+        );
+    }
+
+    destroy() {
+
+        Main.wm.removeKeybinding(FOCUS_HOTKEY_SETTINGS_KEY);
+
+        this._previousWindow = null;
+        this._taskbar = null;
+    }
+
+    moveFocus(appButton, step) {
+
+        const appButtons = this._getAppButtons();
+        const nextIndex = appButtons.indexOf(appButton) + step;
+
+        // stay on the first/last app button
+        if (nextIndex < 0 || nextIndex >= appButtons.length) {
+            return;
+        }
+
+        this._focusAppButton(appButtons[nextIndex]);
+    }
+
+    returnFocus() {
+
+        const previousWindow = this._previousWindow;
+
+        this._previousWindow = null;
+
+        global.stage.set_key_focus(null);
+
+        // the window could be closed in the meantime
+        if (!previousWindow?.get_compositor_private()) {
+            return;
+        }
+
+        Main.activateWindow(previousWindow);
+    }
+
+    //#endregion public methods
+
+    //#region private methods
+
+    _focusTaskbar() {
+
+        const appButtons = this._getAppButtons();
+
+        if (!appButtons.length) {
+            return;
+        }
+
+        const focusedAppButton = this._getFocusedAppButton(appButtons);
+
+        // the shortcut toggles the keyboard navigation
+        if (focusedAppButton) {
+            this.returnFocus();
+            return;
+        }
+
+        // remember the window to return focus to it
+        this._previousWindow = global.display.focus_window;
+
+        // start from the active app if any
+        const appButton = appButtons.find(appButton => appButton.isActive) || appButtons[0];
+
+        this._focusAppButton(appButton);
+    }
+
+    _focusAppButton(appButton) {
+
+        // the taskbar scrolls to the app button when it gets focus
+        appButton.grab_key_focus();
+
+        // apps of folders are focused in the popup
+        // the focus returns to the folder when the popup is closed
+        if (appButton instanceof PinGroupButton) {
+            appButton.activate();
+        }
+    }
+
+    _getAppButtons() {
+
+        if (!this._taskbar || this._taskbar.isDestroying) {
+            return [];
+        }
+
+        return this._taskbar.getTaskbarButtons();
+    }
+
+    _getFocusedAppButton(appButtons) {
+        return appButtons.find(appButton => appButton.has_key_focus()) || null;
+    }
+
+    //#endregion private methods
+
+}
\ No newline at end of file
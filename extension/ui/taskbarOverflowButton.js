@@ -0,0 +1,148 @@
+/* exported TaskbarOverflowButton */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as BoxPointer from 'resource:///org/gnome/shell/ui/boxpointer.js';
+import { Ornament, PopupMenu, PopupImageMenuItem } from 'resource:///org/gnome/shell/ui/popupMenu.js';
+
+// custom modules import
+import { PositionProvider } from '../utils/positionProvider.js';
+
+//#endregion imports
+
+class TaskbarOverflowMenu extends PopupMenu {
+
+    constructor(overflowButton) {
+
+        super(overflowButton, 0.5, St.Side.TOP);
+
+        this._overflowButton = overflowButton;
+
+        this.blockSourceEvents = true;
+
+        this.actor.add_style_class_name('panel-menu rocketbar__popup-menu');
+
+        Main.uiGroup.add_actor(this.actor);
+
+        this.actor.hide();
+
+        Main.panel.menuManager.addMenu(this);
+    }
+
+    open() {
+
+        this._populate();
+
+        // set position based on location of the button
+        this.actor._arrowSide = PositionProvider.getMonitorSide(this._overflowButton, this._overflowButton.isVertical);
+
+        super.open(BoxPointer.PopupAnimation.FULL);
+    }
+
+    _populate() {
+
+        this.removeAll();
+
+        const appButtons = this._overflowButton.appButtons;
+
+        for (let i = 0, l = appButtons.length; i < l; ++i) {
+
+            const appButton = appButtons[i];
+
+            const menuItem = new PopupImageMenuItem(
+                appButton.window?.title || appButton.app.get_name(),
+                appButton.app.get_icon()
+            );
+
+            if (appButton.isActive) {
+                menuItem.setOrnament(Ornament.DOT);
+            }
+
+            menuItem.connect('activate', () => appButton.activate());
+
+            this.addMenuItem(menuItem);
+        }
+    }
+
+}
+
+/**
+ * Collects app buttons which don't fit into the taskbar
+ */
+export const TaskbarOverflowButton = GObject.registerClass(
+    class Rocketbar__TaskbarOverflowButton extends St.Button {
+
+        //#region public methods
+
+        constructor() {
+
+            super({
+                name: 'taskbar-overflowButton',
+                style_class: 'panel-button rocketbar__button rocketbar__overflow-button',
+                reactive: true,
+                can_focus: true,
+                button_mask: St.ButtonMask.ONE | St.ButtonMask.THREE,
+                y_align: Clutter.ActorAlign.CENTER,
+                visible: false
+            });
+
+            // set public properties
+            this.appButtons = []; // [AppButton...]
+            this.isVertical = false;
+
+            this._label = new St.Label({
+                y_align: Clutter.ActorAlign.CENTER
+            });
+
+            this.set_child(this._label);
+
+            this.connect('clicked', () => this._toggleMenu());
+            this.connect('destroy', () => this._destroy());
+        }
+
+        setVertical(vertical) {
+            this.isVertical = vertical;
+        }
+
+        setAppButtons(appButtons) {
+
+            this.appButtons = appButtons;
+
+            this._label.text = `+${appButtons.length}`;
+
+            this.visible = appButtons.length > 0;
+
+            if (!this.visible) {
+                this._menu?.close();
+            }
+        }
+
+        //#endregion public methods
+
+        //#region private methods
+
+        _toggleMenu() {
+
+            if (!this._menu) {
+                this._menu = new TaskbarOverflowMenu(this);
+            }
+
+            this._menu.toggle();
+        }
+
+        _destroy() {
+
+            this._menu?.destroy();
+            this._menu = null;
+
+            this.appButtons = [];
+        }
+
+        //#endregion private methods
+
+    }
+);
\ No newline at end of file
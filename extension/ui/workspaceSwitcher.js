@@ -0,0 +1,429 @@
+/* exported WorkspaceSwitcher */
+
+//#region imports
+
+import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
+
+// custom modules import
+import { AppButton } from './appButton.js';
+import { Connections } from '../utils/connections.js';
+import { PositionProvider } from '../utils/positionProvider.js';
+import { ScrollHandler } from '../utils/scrollHandler.js';
+import { Timeout } from '../utils/timeout.js';
+
+//#endregion imports
+
+const WM_PREFERENCES_SCHEMA = 'org.gnome.desktop.wm.preferences';
+
+// max number of app icons displayed in a pill
+const PILL_ICONS_COUNT = 3;
+const PILL_ICON_SIZE = 14;
+const RERENDER_DELAY = 100;
+const SCROLL_DELAY = 300;
+
+class WorkspacePill {
+
+    constructor(workspaceIndex) {
+
+        this.workspaceIndex = workspaceIndex;
+
+        this.actor = new St.Button({
+            name: 'taskbar-workspacePill',
+            style_class: 'rocketbar__workspace-pill',
+            reactive: true,
+            can_focus: true,
+            y_align: Clutter.ActorAlign.CENTER
+        });
+
+        // allow to drop app buttons to the pill
+        this.actor._delegate = this;
+
+        this._layout = new St.BoxLayout({
+            y_align: Clutter.ActorAlign.CENTER
+        });
+
+        this._label = new St.Label({
+            style_class: 'rocketbar__workspace-pill-label',
+            y_align: Clutter.ActorAlign.CENTER
+        });
+
+        this._icons = new St.BoxLayout({
+            style_class: 'rocketbar__workspace-pill-icons',
+            y_align: Clutter.ActorAlign.CENTER
+        });
+
+        this._layout.add_actor(this._label);
+        this._layout.add_actor(this._icons);
+
+        this.actor.set_child(this._layout);
+
+        this.actor.connect('clicked', () => this._activate());
+    }
+
+    update(label, apps, isActive) {
+
+        this._label.text = label;
+
+        this.actor.accessible_name = label;
+
+        this._icons.destroy_all_children();
+
+        for (let i = 0, l = Math.min(apps.length, PILL_ICONS_COUNT); i < l; ++i) {
+            this._icons.add_actor(apps[i].create_icon_texture(PILL_ICON_SIZE));
+        }
+
+        this._icons.visible = apps.length > 0;
+
+        if (isActive) {
+            this.actor.add_style_pseudo_class('active');
+            return;
+        }
+
+        this.actor.remove_style_pseudo_class('active');
+    }
+
+    setDropHighlight(highlight) {
+
+        if (highlight) {
+            this.actor.add_style_pseudo_class('drop');
+            return;
+        }
+
+        this.actor.remove_style_pseudo_class('drop');
+    }
+
+    handleDragOver(source) {
+
+        if (!(source instanceof AppButton) || !source.app) {
+            return DND.DragMotionResult.CONTINUE;
+        }
+
+        return DND.DragMotionResult.MOVE_DROP;
+    }
+
+    acceptDrop(source) {
+
+        if (!(source instanceof AppButton) || !source.app) {
+            return false;
+        }
+
+        source.moveWindowsToWorkspace(this.workspaceIndex);
+
+        return true;
+    }
+
+    _activate() {
+
+        const workspace = global.workspace_manager.get_workspace_by_index(this.workspaceIndex);
+
+        if (!workspace) {
+            return;
+        }
+
+        Main.wm.actionMoveWorkspace(workspace);
+    }
+
+}
+
+/**
+ * Displays pills of workspaces with icons of their apps next to the taskbar
+ */
+export const WorkspaceSwitcher = GObject.registerClass(
+    class Rocketbar__WorkspaceSwitcher extends St.BoxLayout {
+
+        //#region public methods
+
+        constructor(settings, panel) {
+
+            super({
+                name: 'taskbar-workspaceSwitcher',
+                style_class: 'rocketbar__workspace-switcher',
+                reactive: true,
+                y_align: Clutter.ActorAlign.CENTER
+            });
+
+            // set public properties
+            this.isVertical = false;
+
+            // set private properties
+            this._settings = settings;
+            this._wmPreferences = new Gio.Settings({ schema_id: WM_PREFERENCES_SCHEMA });
+            this._pills = []; // [WorkspacePill...]
+            this._dropTarget = null;
+            this._workspaces = new Map(); // workspace => [connection id...]
+            this._positionProvider = new PositionProvider(this, panel);
+            this._scrollHandler = new ScrollHandler(this, params => this._handleScroll(params));
+
+            this._createConnections();
+
+            this._handleSettings();
+        }
+
+        setPosition(position, offset) {
+            this._positionProvider.setPosition(position, offset);
+        }
+
+        togglePositionLock(locked) {
+            this._positionProvider.togglePositionLock(locked);
+        }
+
+        setVertical(vertical) {
+
+            this.isVertical = vertical;
+
+            this.vertical = vertical;
+
+            this.x_align = vertical ? Clutter.ActorAlign.CENTER : Clutter.ActorAlign.FILL;
+            this.y_align = vertical ? Clutter.ActorAlign.FILL : Clutter.ActorAlign.CENTER;
+        }
+
+        //#endregion public methods
+
+        //#region private methods
+
+        _createConnections() {
+            this.connect('destroy', () => this._destroy());
+            this._connections = new Connections();
+            this._connections.addScope(global.workspace_manager, [
+                'workspace-added',
+                'workspace-removed'
+            ], () => this._handleWorkspaces());
+            this._connections.add(global.workspace_manager, 'active-workspace-changed', () => this._queueRerender());
+            this._connections.add(this._wmPreferences, 'changed::workspace-names', () => this._queueRerender());
+            // highlight pills while an app button is dragged
+            this._connections.add(Main.overview, 'item-drag-begin', () => this._toggleDragMonitor(true));
+            this._connections.add(Main.overview, 'item-drag-end', () => this._toggleDragMonitor(false));
+            this._connections.addScope(this._settings, [
+                'changed::workspace-switcher-label-mode',
+                'changed::workspace-switcher-show-icons'
+            ], () => this._handleSettings());
+        }
+
+        _handleSettings() {
+
+            this._config = {
+                // number or name
+                labelMode: this._settings.get_string('workspace-switcher-label-mode'),
+                showIcons: this._settings.get_boolean('workspace-switcher-show-icons')
+            };
+
+            this._handleWorkspaces();
+        }
+
+        _handleWorkspaces() {
+
+            this._disconnectWorkspaces();
+
+            const workspaceManager = global.workspace_manager;
+
+            // windows of every workspace are tracked to display their apps
+            for (let i = 0, l = workspaceManager.n_workspaces; i < l; ++i) {
+
+                const workspace = workspaceManager.get_workspace_by_index(i);
+
+                this._workspaces.set(workspace, [
+                    workspace.connect('window-added', () => this._queueRerender()),
+                    workspace.connect('window-removed', () => this._queueRerender())
+                ]);
+            }
+
+            this._queueRerender();
+        }
+
+        _disconnectWorkspaces() {
+
+            this._workspaces.forEach((connectionIds, workspace) => {
+                connectionIds.forEach(connectionId => workspace.disconnect(connectionId));
+            });
+
+            this._workspaces.clear();
+        }
+
+        //#region render
+
+        _queueRerender() {
+
+            if (this._rerenderTimeout) {
+                return;
+            }
+
+            this._rerenderTimeout = Timeout.idle(RERENDER_DELAY).run(() => {
+                this._rerenderTimeout = null;
+                this._rerender();
+            });
+        }
+
+        _rerender() {
+
+            const workspaceManager = global.workspace_manager;
+            const workspacesCount = workspaceManager.n_workspaces;
+            const activeIndex = workspaceManager.get_active_workspace_index();
+
+            // keep the pills in sync with the number of workspaces
+            while (this._pills.length > workspacesCount) {
+                this._pills.pop().actor.destroy();
+            }
+
+            while (this._pills.length < workspacesCount) {
+                const pill = new WorkspacePill(this._pills.length);
+                this._pills.push(pill);
+                this.add_actor(pill.actor);
+            }
+
+            for (let i = 0; i < workspacesCount; ++i) {
+                this._pills[i].update(
+                    this._getWorkspaceLabel(i),
+                    this._config.showIcons ? this._getWorkspaceApps(workspaceManager.get_workspace_by_index(i)) : [],
+                    i === activeIndex
+                );
+            }
+        }
+
+        _getWorkspaceLabel(workspaceIndex) {
+
+            if (this._config.labelMode === 'name') {
+                return Meta.prefs_get_workspace_name(workspaceIndex);
+            }
+
+            return `${workspaceIndex + 1}`;
+        }
+
+        _getWorkspaceApps(workspace) {
+
+            const windowTracker = Shell.WindowTracker.get_default();
+
+            let apps = [];
+
+            const windows = global.display.sort_windows_by_stacking(workspace.list_windows()).reverse();
+
+            // the most recent apps are displayed first
+            for (let i = 0, l = windows.length; i < l; ++i) {
+
+                const window = windows[i];
+
+                if (window.skip_taskbar || window.is_on_all_workspaces()) {
+                    continue;
+                }
+
+                const app = windowTracker.get_window_app(window);
+
+                if (app && !apps.includes(app)) {
+                    apps.push(app);
+                }
+            }
+
+            return apps;
+        }
+
+        _stopRerender() {
+            this._rerenderTimeout?.destroy();
+            this._rerenderTimeout = null;
+        }
+
+        //#endregion render
+
+        //#region scroll
+
+        _handleScroll(params) {
+
+            const [scrollDirection] = params;
+
+            if (this._scrollTimeout) {
+                return Clutter.EVENT_STOP;
+            }
+
+            this._scrollTimeout = Timeout.default(SCROLL_DELAY).run(() => {
+                this._scrollTimeout = null;
+            });
+
+            const workspaceManager = global.workspace_manager;
+            const workspacesCount = workspaceManager.n_workspaces;
+            const step = scrollDirection === Clutter.ScrollDirection.UP ? -1 : 1;
+
+            // cycle through workspaces
+            const nextIndex = (workspaceManager.get_active_workspace_index() + step + workspacesCount) % workspacesCount;
+
+            Main.wm.actionMoveWorkspace(workspaceManager.get_workspace_by_index(nextIndex));
+
+            return Clutter.EVENT_STOP;
+        }
+
+        //#endregion scroll
+
+        //#region drag & drop
+
+        _toggleDragMonitor(enabled) {
+
+            if (enabled && !this._dragMonitor) {
+                this._dragMonitor = {
+                    dragMotion: event => this._dragMotion(event)
+                };
+                DND.addDragMonitor(this._dragMonitor);
+                return;
+            }
+
+            if (!enabled && this._dragMonitor) {
+                DND.removeDragMonitor(this._dragMonitor);
+                this._dragMonitor = null;
+                this._setDropTarget(null);
+            }
+        }
+
+        _dragMotion(event) {
+
+            const pill = this._pills.find(pill => pill.actor.contains(event.targetActor));
+
+            this._setDropTarget(event.source instanceof AppButton ? pill : null);
+
+            return DND.DragMotionResult.CONTINUE;
+        }
+
+        _setDropTarget(pill) {
+
+            if (this._dropTarget === pill) {
+                return;
+            }
+
+            this._dropTarget?.setDropHighlight(false);
+
+            this._dropTarget = pill || null;
+
+            this._dropTarget?.setDropHighlight(true);
+        }
+
+        //#endregion drag & drop
+
+        _destroy() {
+
+            this._stopRerender();
+
+            this._scrollTimeout?.destroy();
+            this._scrollTimeout = null;
+
+            this._toggleDragMonitor(false);
+
+            this._disconnectWorkspaces();
+
+            this._scrollHandler.destroy();
+            this._scrollHandler = null;
+
+            this._connections.destroy();
+            this._connections = null;
+
+            this._positionProvider.destroy();
+            this._positionProvider = null;
+
+            this._pills = [];
+        }
+
+        //#endregion private methods
+
+    }
+);
\ No newline at end of file
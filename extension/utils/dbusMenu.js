@@ -0,0 +1,57 @@
+/* exported DBusMenu */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const DBUSMENU_INTERFACE = 'com.canonical.dbusmenu';
+
+/**
+ * A minimal client of the DBusMenu interface
+ * used to read quicklists provided via Unity Launcher API
+ */
+export class DBusMenu {
+
+    constructor(busName, objectPath) {
+        this._busName = busName;
+        this._objectPath = objectPath;
+    }
+
+    getItems() {
+        return new Promise(resolve => Gio.DBus.session.call(
+            this._busName, this._objectPath, DBUSMENU_INTERFACE, 'GetLayout',
+            new GLib.Variant('(iias)', [0, -1, []]),
+            new GLib.VariantType('(u(ia{sv}av))'),
+            Gio.DBusCallFlags.NONE, -1, null,
+            (connection, result) => {
+                try {
+                    const [, layout] = connection.call_finish(result).recursiveUnpack();
+                    resolve(this._parseItem(layout).children);
+                } catch (e) {
+                    // the app has gone or doesn't provide the menu
+                    resolve([]);
+                }
+            }
+        ));
+    }
+
+    activate(itemId) {
+        Gio.DBus.session.call(
+            this._busName, this._objectPath, DBUSMENU_INTERFACE, 'Event',
+            new GLib.Variant('(isvu)', [itemId, 'clicked', new GLib.Variant('i', 0), global.get_current_time()]),
+            null, Gio.DBusCallFlags.NONE, -1, null, null
+        );
+    }
+
+    _parseItem([id, props, children]) {
+        return {
+            id: id,
+            // remove mnemonics from the label
+            label: (props['label'] || '').replace(/_(.)/g, '$1'),
+            isSeparator: props['type'] === 'separator',
+            enabled: props['enabled'] ?? true,
+            visible: props['visible'] ?? true,
+            children: (children || []).map(child => this._parseItem(child))
+        };
+    }
+
+}
\ No newline at end of file
@@ -0,0 +1,145 @@
+/* exported Intellihide */
+
+import Meta from 'gi://Meta';
+import { Connections } from './connections.js';
+import { Timeout } from './timeout.js';
+
+// windows are moved and resized by the pointer without any signals from the display
+const WINDOW_GRAB_CHECK_INTERVAL = 100;
+
+/**
+ * Tracks windows of the active workspace
+ * to hide an actor when some of them overlap it
+ */
+export class Intellihide {
+
+    constructor(callback) {
+        this._callback = callback;
+        this._windows = new Map(); // window => connection ids
+        this._createConnections();
+        this._updateWindows();
+    }
+
+    destroy() {
+        this._stopWindowGrabCheck();
+        this._connections.destroy();
+        this._windows.forEach((connectionIds, window) => this._disconnectWindow(window));
+        this._windows = null;
+        this._callback = null;
+    }
+
+    hasOverlappingWindows(actor, monitorIndex) {
+
+        const windows = global.workspace_manager.get_active_workspace().list_windows();
+
+        const [x, y] = [actor.x, actor.y];
+        const [width, height] = [actor.width, actor.height];
+
+        return windows.some(window => {
+
+            if (window.minimized || !window.showing_on_its_workspace() ||
+                    window.get_monitor() !== monitorIndex ||
+                        window.window_type === Meta.WindowType.DESKTOP) {
+                return false;
+            }
+
+            const rect = window.get_frame_rect();
+
+            return (
+                rect.x < x + width && rect.x + rect.width > x &&
+                rect.y < y + height && rect.y + rect.height > y
+            );
+        });
+    }
+
+    _createConnections() {
+        this._connections = new Connections();
+        this._connections.add(global.display, 'grab-op-begin', () => {
+            this._stopWindowGrabCheck();
+            this._startWindowGrabCheck();
+        });
+        this._connections.add(global.display, 'grab-op-end', () => {
+            this._stopWindowGrabCheck();
+            this._handleWindows();
+        });
+        this._connections.addScope(global.display, [
+            'restacked',
+            'window-created'
+        ], () => this._handleWindows());
+        this._connections.addScope(global.window_manager, [
+            'switch-workspace',
+            'minimize',
+            'unminimize',
+            'size-change',
+            'destroy'
+        ], () => this._handleWindows());
+    }
+
+    _handleWindows() {
+
+        this._updateWindows();
+
+        this._runCallback();
+    }
+
+    _runCallback() {
+        if (this._callback) {
+            this._callback();
+        }
+    }
+
+    _updateWindows() {
+
+        const windows = global.workspace_manager.get_active_workspace().list_windows();
+
+        // windows can be moved and resized by apps and keyboard shortcuts too
+        for (let i = 0, l = windows.length; i < l; ++i) {
+
+            const window = windows[i];
+
+            if (this._windows.has(window)) {
+                continue;
+            }
+
+            this._windows.set(window, [
+                window.connect('position-changed', () => this._runCallback()),
+                window.connect('size-changed', () => this._runCallback()),
+                window.connect('unmanaged', () => this._disconnectWindow(window))
+            ]);
+        }
+
+        this._windows.forEach((connectionIds, window) => {
+            if (!windows.includes(window)) {
+                this._disconnectWindow(window);
+            }
+        });
+    }
+
+    _disconnectWindow(window) {
+
+        if (!this._windows?.has(window)) {
+            return;
+        }
+
+        this._windows.get(window).forEach(connectionId => window.disconnect(connectionId));
+
+        this._windows.delete(window);
+    }
+
+    _startWindowGrabCheck() {
+
+        // check positions of moving windows until the grab ends
+        this._windowGrabCheckTimeout = Timeout.default(WINDOW_GRAB_CHECK_INTERVAL).run(() => {
+
+            this._runCallback();
+
+            this._startWindowGrabCheck();
+        });
+    }
+
+    _stopWindowGrabCheck() {
+        this._windowGrabCheckTimeout?.destroy();
+        this._windowGrabCheckTimeout = null;
+    }
+
+}
\ No newline at end of file
@@ -48,7 +48,7 @@ export class LauncherAPI {
             null, 'com.canonical.Unity.LauncherEntry',
             null, null, null,
             Gio.DBusSignalFlags.NONE,
-            (connection, sender, path, name, signal, params) => callback(params)
+            (connection, sender, path, name, signal, params) => callback(params, sender)
         );
     }
 
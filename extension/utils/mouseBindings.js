@@ -0,0 +1,62 @@
+/* exported MouseBindings */
+
+// modifiers are always listed in this order in binding keys
+const MODIFIERS = ['ctrl', 'shift', 'alt'];
+
+const COMMAND_PREFIX = 'launch_command:';
+
+/**
+ * Reads and writes the map of mouse bindings of app buttons
+ * keys: [ctrl+][shift+][alt+]left|middle|right|scroll_up|scroll_down
+ * values: action ids, launch_command:<command line> for custom commands
+ */
+export class MouseBindings {
+
+    static TRIGGERS = ['left', 'middle', 'right', 'scroll_up', 'scroll_down'];
+
+    static MODIFIERS = MODIFIERS;
+
+    static getKey(trigger, modifiers = []) {
+        return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), trigger].join('+');
+    }
+
+    static load(settings) {
+
+        try {
+            const bindings = JSON.parse(settings.get_string('appbutton-mouse-bindings') || '{}');
+            return bindings && typeof bindings === 'object' ? bindings : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /*
+     * value: action id, null to restore the default action
+     */
+    static save(settings, key, value) {
+
+        let bindings = MouseBindings.load(settings);
+
+        if (value) {
+            bindings[key] = value;
+        } else {
+            delete bindings[key];
+        }
+
+        settings.set_string('appbutton-mouse-bindings', JSON.stringify(bindings));
+    }
+
+    static parseAction(value) {
+
+        if (value?.startsWith(COMMAND_PREFIX)) {
+            return { action: 'launch_command', command: value.slice(COMMAND_PREFIX.length) };
+        }
+
+        return { action: value || 'none', command: null };
+    }
+
+    static formatCommand(command) {
+        return `${COMMAND_PREFIX}${command}`;
+    }
+
+}
\ No newline at end of file
@@ -0,0 +1,144 @@
+/* exported PinGroups, PIN_GROUP_PREFIX */
+
+import GLib from 'gi://GLib';
+import { Connections } from './connections.js';
+
+// button ids of pin groups start with the prefix to not clash with app ids
+export const PIN_GROUP_PREFIX = 'group:';
+
+/**
+ * Named folders of pinned apps owned by Rocketbar
+ * apps stay in the Shell favorites list and the folder is displayed
+ * at the position of its first app
+ */
+export class PinGroups {
+
+    constructor(settings, callback) {
+        this._settings = settings;
+        this._callback = callback;
+        this._groups = null;
+        this._connections = new Connections();
+        this._connections.add(this._settings, 'changed::taskbar-pin-groups', () => this._handleChanged());
+    }
+
+    destroy() {
+        this._connections.destroy();
+        this._callback = null;
+    }
+
+    /*
+     * [{ id, name, appIds: [appId...] }...]
+     */
+    getGroups() {
+
+        if (!this._groups) {
+            this._groups = this._load();
+        }
+
+        return this._groups;
+    }
+
+    getGroup(groupId) {
+        return this.getGroups().find(group => group.id === groupId) || null;
+    }
+
+    getGroupByAppId(appId) {
+        return this.getGroups().find(group => group.appIds.includes(appId)) || null;
+    }
+
+    createGroup(appIds, name) {
+
+        const groupId = `${PIN_GROUP_PREFIX}${GLib.uuid_string_random()}`;
+
+        // an app can be in a single group only
+        let groups = this._removeAppIds(this.getGroups(), appIds);
+
+        groups.push({ id: groupId, name: name, appIds: [...appIds] });
+
+        this._save(groups);
+
+        return groupId;
+    }
+
+    addApp(groupId, appId) {
+
+        let groups = this._removeAppIds(this.getGroups(), [appId]);
+
+        const group = groups.find(group => group.id === groupId);
+
+        if (!group) {
+            return;
+        }
+
+        group.appIds.push(appId);
+
+        this._save(groups);
+    }
+
+    removeApp(groupId, appId) {
+
+        let groups = this.getGroups().map(group => (
+            group.id === groupId ?
+            { ...group, appIds: group.appIds.filter(id => id !== appId) } :
+            group
+        ));
+
+        this._save(groups);
+    }
+
+    renameGroup(groupId, name) {
+
+        if (!name) {
+            return;
+        }
+
+        this._save(this.getGroups().map(group => (
+            group.id === groupId ?
+            { ...group, name: name } :
+            group
+        )));
+    }
+
+    deleteGroup(groupId) {
+        this._save(this.getGroups().filter(group => group.id !== groupId));
+    }
+
+    _removeAppIds(groups, appIds) {
+        return groups.map(group => ({
+            ...group,
+            appIds: group.appIds.filter(appId => !appIds.includes(appId))
+        }));
+    }
+
+    _load() {
+
+        const value = this._settings.get_string('taskbar-pin-groups');
+
+        try {
+            const groups = JSON.parse(value || '[]');
+            return Array.isArray(groups) ? groups.filter(group => group?.id && Array.isArray(group.appIds)) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    _save(groups) {
+
+        // a folder doesn't make sense for less than 2 apps
+        groups = groups.filter(group => group.appIds.length > 1);
+
+        this._groups = null;
+
+        this._settings.set_string('taskbar-pin-groups', JSON.stringify(groups));
+    }
+
+    _handleChanged() {
+
+        this._groups = null;
+
+        if (this._callback) {
+            this._callback();
+        }
+    }
+
+}
\ No newline at end of file
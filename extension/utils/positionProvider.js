@@ -1,11 +1,32 @@
 /* exported PositionProvider */
 
+import St from 'gi://St';
+
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
 export class PositionProvider {
 
-    constructor(actor) {
+    /**
+     * returns the side of its monitor the actor is closer to
+     * @param {Clutter.Actor} actor
+     * @param {boolean} isVertical whether to compare horizontal position
+     * @returns {St.Side}
+     */
+    static getMonitorSide(actor, isVertical = false) {
+
+        const [x, y] = actor.get_transformed_position();
+        const monitor = Main.layoutManager.findMonitorForActor(actor);
+
+        if (isVertical) {
+            return (x < monitor.x + monitor.width / 2 ? St.Side.LEFT : St.Side.RIGHT);
+        }
+
+        return (y < monitor.y + monitor.height / 2 ? St.Side.TOP : St.Side.BOTTOM);
+    }
+
+    constructor(actor, panel = Main.panel) {
         this._actor = actor;
+        this._panel = panel;
         this._position = 'left';
         this._offset = 0;
     }
@@ -53,13 +74,13 @@ export class PositionProvider {
 
         switch (this._position) {
             case 'left':
-                targetParent = Main.panel._leftBox;
+                targetParent = this._panel._leftBox;
                 break;
             case 'center':
-                targetParent = Main.panel._centerBox;
+                targetParent = this._panel._centerBox;
                 break;
             case 'right':
-                targetParent = Main.panel._rightBox;
+                targetParent = this._panel._rightBox;
                 break;
         }
 
@@ -40,7 +40,7 @@ export class ScrollHandler {
 
         const isCtrlPressed = (event.get_state() & Clutter.ModifierType.CONTROL_MASK) != 0;
 
-        return this._callback([scrollDirection, isCtrlPressed]);
+        return this._callback([scrollDirection, isCtrlPressed, event.get_state()]);
     }
 
 }
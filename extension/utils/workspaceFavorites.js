@@ -0,0 +1,110 @@
+/* exported WorkspaceFavorites */
+
+import Shell from 'gi://Shell';
+import { Connections } from './connections.js';
+
+/**
+ * Pinned apps of every workspace owned by Rocketbar
+ * displayed on top of the Shell favorites or instead of them
+ */
+export class WorkspaceFavorites {
+
+    constructor(settings, callback) {
+        this._settings = settings;
+        this._callback = callback;
+        this._appIdsByWorkspace = null;
+        this._connections = new Connections();
+        this._connections.add(this._settings, 'changed::taskbar-workspace-favorites', () => this._handleChanged());
+        this._connections.add(Shell.AppSystem.get_default(), 'installed-changed', () => this._handleChanged());
+    }
+
+    destroy() {
+        this._connections.destroy();
+        this._callback = null;
+    }
+
+    getAppIds(workspaceIndex) {
+
+        if (!this._appIdsByWorkspace) {
+            this._appIdsByWorkspace = this._load();
+        }
+
+        return this._appIdsByWorkspace[workspaceIndex] || [];
+    }
+
+    getApps(workspaceIndex) {
+
+        const appSystem = Shell.AppSystem.get_default();
+
+        // skip apps that were uninstalled
+        return this.getAppIds(workspaceIndex).map(appId => appSystem.lookup_app(appId)).filter(app => app);
+    }
+
+    hasApp(workspaceIndex, appId) {
+        return this.getAppIds(workspaceIndex).includes(appId);
+    }
+
+    addApp(workspaceIndex, appId) {
+
+        if (this.hasApp(workspaceIndex, appId)) {
+            return;
+        }
+
+        this._save(workspaceIndex, [...this.getAppIds(workspaceIndex), appId]);
+    }
+
+    removeApp(workspaceIndex, appId) {
+        this._save(workspaceIndex, this.getAppIds(workspaceIndex).filter(id => id !== appId));
+    }
+
+    moveAppToPosition(workspaceIndex, appId, position) {
+
+        let appIds = this.getAppIds(workspaceIndex).filter(id => id !== appId);
+
+        // check if the position hasn't changed
+        if (this.getAppIds(workspaceIndex).indexOf(appId) === position) {
+            return;
+        }
+
+        appIds.splice(position, 0, appId);
+
+        this._save(workspaceIndex, appIds);
+    }
+
+    _load() {
+
+        const value = this._settings.get_string('taskbar-workspace-favorites');
+
+        try {
+            const appIdsByWorkspace = JSON.parse(value || '{}');
+            return appIdsByWorkspace && typeof appIdsByWorkspace === 'object' ? appIdsByWorkspace : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _save(workspaceIndex, appIds) {
+
+        let appIdsByWorkspace = { ...this._load() };
+
+        if (appIds.length) {
+            appIdsByWorkspace[workspaceIndex] = appIds;
+        } else {
+            delete appIdsByWorkspace[workspaceIndex];
+        }
+
+        this._appIdsByWorkspace = null;
+
+        this._settings.set_string('taskbar-workspace-favorites', JSON.stringify(appIdsByWorkspace));
+    }
+
+    _handleChanged() {
+
+        this._appIdsByWorkspace = null;
+
+        if (this._callback) {
+            this._callback();
+        }
+    }
+
+}
\ No newline at end of file